@@ -9,10 +9,58 @@ const APP_CONSTANTS = {
   splashButtonsId: "splash-buttons",
   stageId: "stage",
   slidesUrl: "js/slides.json",
+  progressStorageKey: "transactionTroubles.progress",
+  languageParam: "lang",
+  editParam: "edit",
+  debugParam: "debug",
+  watchParam: "watch",
+  configParam: "config",
+  kioskParam: "kiosk",
+  autoplayParam: "autoplay",
   musicEnabled: true,
   soundEnabled: true,
 };
 
+/**
+ * Built-in English text for the engine's own interface. A locale's string
+ * table in slides.json can override any of these keys; `{{name}}` marks
+ * a value filled in by translate().
+ */
+const UI_STRINGS = {
+  "ui.loading": "Loading…",
+  "ui.chooseAdventure": "Choose your adventure",
+  "ui.choosePath": "Choose a path",
+  "ui.logoAlt": "TransactionTroubles",
+  "ui.language": "Language",
+  "ui.pathTitle": "Path {{number}}",
+  "ui.completedAlt": "{{title}} (completed)",
+  "ui.recommendedAlt": "{{title}} (recommended next)",
+  "ui.recommendedBadge": "Next",
+  "ui.lockedTitle": "Complete {{paths}} first",
+  "ui.lockedAlt": "{{title}} (locked: complete {{paths}} first)",
+  "ui.resumeMessage": "You stopped at slide {{slide}} of {{total}}.",
+  "ui.resume": "Resume",
+  "ui.startOver": "Start over",
+  "ui.toggleAudio": "Toggle audio",
+  "ui.pause": "Pause",
+  "ui.paused": "Paused",
+  "ui.progress": "Progress",
+  "ui.video": "Video",
+  "ui.playVideo": "Play video",
+  "ui.videoUnavailable": "Video unavailable",
+  "ui.unsupportedMedia": "Unsupported base media",
+  "ui.autoplayOn": "Autoplay on",
+  "ui.autoplayPaused": "Autoplay paused – click or press A to resume",
+  "ui.quizContinue": "Continue",
+  "ui.quizCorrect": "Correct!",
+  "ui.quizIncorrect": "Not quite.",
+  "ui.quizScore":
+    "You answered {{correct}} of {{total}} questions correctly ({{percent}}%).",
+  "ui.quizPassed": "Passed",
+  "ui.quizFailed": "Not passed yet: {{passMark}}% is needed",
+  "ui.challengeHint": "Not there. Try again.",
+};
+
 /**
  * The application state is simple and serializable so that rendering can be stateless and predictable.
  */
@@ -21,6 +69,12 @@ const appState = {
   config: null,
   pathIndex: null,
   slideIndex: null,
+  overlayIndex: null, // position within the current slide's sequential overlays
+  finalState: false, // true when a slide is re-entered by stepping back into it
+  kiosk: null, // resolved kiosk options when running unattended, else null
+  autoplay: null, // resolved autoplay options (with a `playing` flag), else null
+  paused: false, // true while timers, video and audio are frozen
+  locale: null, // active content language, e.g. "en"
   teardownHandlers: [],
   musicEnabled: true,
   soundEnabled: true,
@@ -105,6 +159,277 @@ function pauseAllVideos() {
   });
 }
 
+/**
+ * Pending slide-relative timers (overlay show/hide, sequential delays,
+ * timer slides, sound cues, autoplay) keyed by id. They run through
+ * scheduleTimeout instead of window.setTimeout so that pausing the
+ * experience can freeze them and resume them with the time they had left.
+ */
+const scheduledTimeouts = new Map();
+let nextScheduledTimeoutId = 1;
+let schedulerPaused = false;
+
+// Media paused by setPaused(true), to be resumed by setPaused(false).
+const pausedMediaElements = new Set();
+let pausedAutomatically = false;
+
+// Time on the current slide, which stands still while the scheduler is
+// paused (see getSlideElapsed). `offset` is where the slide was started
+// from: 0, or a later time when seeking (see seekSlide).
+const slideClock = { startedAt: 0, pausedAt: null, pausedTotal: 0, offset: 0 };
+
+// Slide time the next renderSlide starts from, set by seekSlide.
+let pendingSlideSeek = 0;
+
+/**
+ * Pausable setTimeout. Returns an id for cancelScheduledTimeout.
+ *
+ * @param {Function} callback
+ * @param {number} delay ms
+ * @param {string} [label] what the timer is for, shown in the debug HUD
+ * @returns {number}
+ */
+function scheduleTimeout(callback, delay, label = "") {
+  const id = nextScheduledTimeoutId++;
+  const task = {
+    callback,
+    label,
+    remaining: Math.max(Number(delay) || 0, 0),
+    startedAt: 0,
+    timerId: null,
+  };
+  scheduledTimeouts.set(id, task);
+  if (!schedulerPaused) startScheduledTimeout(id, task);
+  return id;
+}
+
+/**
+ * @param {number} id
+ * @param {Object} task
+ */
+function startScheduledTimeout(id, task) {
+  task.startedAt = performance.now();
+  task.timerId = window.setTimeout(() => {
+    scheduledTimeouts.delete(id);
+    task.callback();
+  }, task.remaining);
+}
+
+/**
+ * Cancels a timer created by scheduleTimeout. Unknown ids are ignored.
+ *
+ * @param {number|null} id
+ */
+function cancelScheduledTimeout(id) {
+  const task = scheduledTimeouts.get(id);
+  if (!task) return;
+  window.clearTimeout(task.timerId);
+  scheduledTimeouts.delete(id);
+}
+
+/**
+ * Lists pending scheduled timers with the time each has left.
+ *
+ * @returns {Array<{id: number, label: string, remaining: number}>}
+ */
+function getScheduledTimeouts() {
+  const now = performance.now();
+  return [...scheduledTimeouts].map(([id, task]) => ({
+    id,
+    label: task.label,
+    remaining: schedulerPaused
+      ? task.remaining
+      : Math.max(task.remaining - (now - task.startedAt), 0),
+  }));
+}
+
+/**
+ * Starts timing a newly rendered slide.
+ *
+ * @param {number} [offset=0] ms of slide time already passed
+ */
+function restartSlideClock(offset = 0) {
+  const now = performance.now();
+  slideClock.startedAt = now - offset;
+  slideClock.offset = offset;
+  slideClock.pausedTotal = 0;
+  slideClock.pausedAt = schedulerPaused ? now : null;
+}
+
+/**
+ * Re-renders the current slide as if `time` ms had already passed on it:
+ * the base video is seeked there, showAt/hideAt overlays appear as they
+ * would at that moment, and later timers fire when they are due. Cues
+ * already passed do not play. A paused experience stays paused.
+ *
+ * @param {number} time ms
+ */
+function seekSlide(time) {
+  if (appState.mode !== "RUNNING") return;
+  const wasPaused = appState.paused;
+  pendingSlideSeek = Math.max(Number(time) || 0, 0);
+  setState({ finalState: false }, { replaceHistory: true });
+  if (wasPaused) setPaused(true);
+}
+
+/**
+ * @returns {number} ms spent on the current slide, not counting pauses
+ */
+function getSlideElapsed() {
+  const now = slideClock.pausedAt ?? performance.now();
+  return now - slideClock.startedAt - slideClock.pausedTotal;
+}
+
+/**
+ * Freezes every pending scheduled timer, keeping its remaining time.
+ */
+function pauseScheduler() {
+  if (schedulerPaused) return;
+  schedulerPaused = true;
+  const now = performance.now();
+  slideClock.pausedAt = now;
+  scheduledTimeouts.forEach((task) => {
+    window.clearTimeout(task.timerId);
+    task.timerId = null;
+    task.remaining = Math.max(task.remaining - (now - task.startedAt), 0);
+  });
+}
+
+/**
+ * Restarts frozen timers with the time they had left.
+ */
+function resumeScheduler() {
+  if (!schedulerPaused) return;
+  schedulerPaused = false;
+  if (slideClock.pausedAt !== null) {
+    slideClock.pausedTotal += performance.now() - slideClock.pausedAt;
+    slideClock.pausedAt = null;
+  }
+  scheduledTimeouts.forEach((task, id) => startScheduledTimeout(id, task));
+}
+
+/**
+ * Pauses or resumes the whole experience together: scheduled timers,
+ * playing videos, music and sound effects. Only media that was playing
+ * when paused is resumed.
+ *
+ * @param {boolean} paused
+ * @param {Object} [options]
+ * @param {boolean} [options.automatic=false] paused because the tab was
+ *   hidden; such pauses end by themselves when the tab is visible again
+ */
+function setPaused(paused, options = {}) {
+  if (paused === appState.paused) return;
+  appState.paused = paused;
+
+  if (paused) {
+    pausedAutomatically = options.automatic === true;
+    pauseScheduler();
+    [activeVideoElements, activeMusicElements, activeSoundElements].forEach(
+      (elements) =>
+        elements.forEach((el) => {
+          if (el.paused) return;
+          try {
+            el.pause();
+          } catch {}
+          pausedMediaElements.add(el);
+        })
+    );
+  } else {
+    pausedAutomatically = false;
+    resumeScheduler();
+    pausedMediaElements.forEach((el) => {
+      // Audio switched off while paused stays off.
+      if (el instanceof HTMLAudioElement && !appState.soundEnabled) return;
+      const playPromise = el.play();
+      if (playPromise && typeof playPromise.catch === "function") {
+        playPromise.catch(() => {});
+      }
+    });
+    pausedMediaElements.clear();
+  }
+
+  updatePauseUI();
+}
+
+/**
+ * Pauses automatically while the tab is hidden, and resumes on return
+ * unless the viewer had paused on purpose.
+ */
+function attachVisibilityPause() {
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) {
+      if (!appState.paused) setPaused(true, { automatic: true });
+    } else if (appState.paused && pausedAutomatically) {
+      setPaused(false);
+    }
+  });
+}
+
+/**
+ * Adds the pause/resume button next to the global audio toggle.
+ */
+function createPauseToggle() {
+  const container = document.querySelector(".global-audio-controls");
+  if (!container || container.querySelector(".pause-toggle")) return;
+
+  const pauseBtn = document.createElement("button");
+  pauseBtn.type = "button";
+  pauseBtn.className = "audio-toggle pause-toggle";
+  pauseBtn.setAttribute("aria-label", translate("ui.pause"));
+  pauseBtn.setAttribute("aria-pressed", "false");
+  pauseBtn.innerHTML = `
+    <svg class="pause-icon" viewBox="0 0 24 24" aria-hidden="true">
+      <path d="M6 5h4v14H6zM14 5h4v14h-4z"/>
+    </svg>
+    <svg class="play-icon" viewBox="0 0 24 24" aria-hidden="true">
+      <path d="M8 5v14l11-7z"/>
+    </svg>
+  `;
+  pauseBtn.addEventListener("click", () => setPaused(!appState.paused));
+
+  container.insertBefore(pauseBtn, container.firstChild);
+  updatePauseUI();
+}
+
+/**
+ * Syncs the pause button and the stage's "Paused" curtain with appState.
+ * The curtain catches clicks so that a click while paused resumes
+ * instead of advancing.
+ */
+function updatePauseUI() {
+  const pauseBtn = document.querySelector(".pause-toggle");
+  if (pauseBtn) {
+    pauseBtn.hidden = appState.mode !== "RUNNING";
+    pauseBtn.classList.toggle("is-paused", appState.paused);
+    pauseBtn.setAttribute("aria-pressed", appState.paused ? "true" : "false");
+    pauseBtn.setAttribute(
+      "aria-label",
+      translate(appState.paused ? "ui.resume" : "ui.pause")
+    );
+  }
+
+  const stageRoot = document.getElementById(APP_CONSTANTS.stageId);
+  if (!stageRoot) return;
+
+  let curtain = stageRoot.querySelector(".pause-curtain");
+  if (!appState.paused) {
+    if (curtain) curtain.remove();
+    return;
+  }
+  if (curtain || appState.mode !== "RUNNING") return;
+
+  curtain = document.createElement("div");
+  curtain.className = "pause-curtain";
+  curtain.textContent = translate("ui.paused");
+  curtain.addEventListener("click", (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    setPaused(false);
+  });
+  stageRoot.appendChild(curtain);
+}
+
 /**
  * Global handler for advancing overlay sequences.
  * When set, overlays with action="next" will advance
@@ -112,11 +437,38 @@ function pauseAllVideos() {
  */
 let overlayAdvanceHandler = null;
 
+/**
+ * Counterpart of overlayAdvanceHandler for backward navigation.
+ * When set, overlays with action="back" and the back keys rewind
+ * the current overlay before moving to the previous slide.
+ */
+let overlayRetreatHandler = null;
+
+/**
+ * While a sequential overlay flow is on stage, returns its position and
+ * whether clicks are being ignored until a delayed overlay appears. Read
+ * by the debug HUD.
+ *
+ * @type {(() => {index: number, count: number, waiting: boolean})|null}
+ */
+let overlaySequenceInspector = null;
+
+/**
+ * "pathIndex/slideIndex" of the slide on stage, or null while the stage is
+ * hidden. A slide with a `transition` cross-fades only from another slide.
+ */
+let stageSlideKey = null;
+
 /**
  * Bootstraps the application once the DOM is ready so the initial paint is deterministic.
  */
 document.addEventListener("DOMContentLoaded", () => {
+  restoreAudioPreference();
+  applyDocumentStrings();
   createGlobalAudioToggles();
+  createPauseToggle();
+  attachVisibilityPause();
+  startDebugHud();
   initializeApplication();
   autoStartSplashMusic();
 });
@@ -143,6 +495,8 @@ function autoStartSplashMusic() {
 
   const tryPlay = () => {
     if (!appState.musicEnabled) return;
+    // A deep link may already have opened a slide; don't play over it.
+    if (appState.mode === "RUNNING") return;
     // Use central music helper so we still track activeMusicElements, etc.
     playMusic(splashBGMusic, { loop: true, stopOthers: true });
   };
@@ -171,172 +525,851 @@ function autoStartSplashMusic() {
  */
 async function initializeApplication() {
   attachGlobalKeyBindings();
+  attachHistoryBindings();
+  let slidesUrl = APP_CONSTANTS.slidesUrl;
   try {
-    const config = await fetchSlidesConfiguration(APP_CONSTANTS.slidesUrl);
+    slidesUrl = getSlidesUrl();
+    // Authors edit the content as written, so tokens stay unfilled.
+    const loaded = await fetchSlidesConfiguration(slidesUrl, {
+      personalize: !isEditorActive(),
+    });
+    const config = loaded.config;
+    unlocalizedConfig = loaded.sourceConfig;
     appState.config = config;
-    buildSplashButtons();
+    appState.locale = loaded.locale;
+    applyDocumentStrings();
+    if (isEditorActive()) {
+      startEditor(slidesUrl, loaded.files);
+    } else {
+      appState.kiosk = resolveKioskOptions(config);
+      appState.autoplay = resolveAutoplayOptions(config);
+    }
+    if (appState.autoplay) attachAutoplayBindings();
 
     setTimeout(preloadFirstVideoForEachPath, 500);
-    setState({ mode: "SPLASH", pathIndex: null, slideIndex: null });
+    // Deep links (e.g. #/meal/4) open straight to a slide; otherwise splash.
+    restoreStateFromLocation();
 
     // Try to auto-start splash music on first load
     autoStartSplashMusic();
-  } catch {
+
+    if (appState.kiosk) startKioskMode();
+    showContentWarnings(loaded.warnings);
+    startLiveReload(slidesUrl, loaded.files).catch(showLiveReloadProblem);
+  } catch (error) {
     renderFatalError(
-      "Unable to load slides. Check that js/slides.json is reachable and valid JSON."
+      `Unable to load slides. Check that ${slidesUrl} and the files it lists are reachable and valid JSON.`,
+      error
     );
   }
 }
 
+/**
+ * Returns the manifest to load: the `?config=` query parameter selects an
+ * alternate one (e.g. `?config=js/emea.json`), otherwise
+ * APP_CONSTANTS.slidesUrl. Only files on this site may be named, since
+ * overlays can carry HTML.
+ *
+ * @returns {string}
+ */
+function getSlidesUrl() {
+  const requested = new URLSearchParams(window.location.search).get(
+    APP_CONSTANTS.configParam
+  );
+  if (!requested) return APP_CONSTANTS.slidesUrl;
+
+  let resolved = null;
+  try {
+    resolved = new URL(requested, window.location.href);
+  } catch {
+    // Reported below.
+  }
+  if (!resolved || resolved.origin !== window.location.origin) {
+    throw new Error(`?config must name a file on this site: ${requested}`);
+  }
+  return requested;
+}
+
 /**
  * Loads the slides configuration from a JSON file.
  * Using JSON keeps authorship non-technical and enables simple CMS handoff later.
  *
  * @param {string} url
- * @returns {Promise<Object>}
+ * @param {Object} [options] see buildSlidesConfiguration
+ * @returns {Promise<{config: Object, sourceConfig: Object, locale: string,
+ *   warnings: Array, files: Map<string, *>}>} the built configuration
+ *   plus the files it was built from
  */
-async function fetchSlidesConfiguration(url) {
-  const response = await fetch(url, { cache: "no-cache" });
-  if (!response.ok) throw new Error("Failed to fetch slides.json");
-  const data = await response.json();
-  if (!data || !Array.isArray(data.paths))
-    throw new Error("Invalid slides.json format");
-  return data;
+async function fetchSlidesConfiguration(url, options = {}) {
+  const files = await fetchSlidesFiles(url);
+  return { ...buildSlidesConfiguration(url, files, options), files };
 }
 
 /**
- * Centralized state setter to ensure teardown happens before the next render.
+ * Fetches the manifest and every file its `paths` and `locales` entries
+ * reference with `{"$ref": "paths/bank.json"}` (relative to the manifest).
  *
- * @param {Object} nextPartialState
+ * @param {string} url
+ * @returns {Promise<Map<string, *>>} parsed files, as written, by URL
  */
-function setState(nextPartialState) {
-  runTeardownHandlers();
-  Object.assign(appState, nextPartialState);
-  render();
+async function fetchSlidesFiles(url) {
+  const files = new Map();
+  const manifest = await fetchJsonFile(url);
+  files.set(url, manifest);
+
+  const entries = [
+    ...(Array.isArray(manifest?.paths) ? manifest.paths : []),
+    ...Object.values(
+      manifest?.locales && typeof manifest.locales === "object"
+        ? manifest.locales
+        : {}
+    ),
+  ];
+  const referenced = new Set(
+    entries
+      .filter((entry) => typeof entry?.$ref === "string")
+      .map((entry) => resolveRelativeUrl(entry.$ref, url))
+  );
+  await Promise.all(
+    [...referenced].map(async (fileUrl) => {
+      files.set(fileUrl, await fetchJsonFile(fileUrl));
+    })
+  );
+  return files;
 }
 
 /**
- * Renders the current state. Splash is part of the HTML; stage visibility is toggled here.
+ * Builds the configuration the app renders from the fetched files, which
+ * are left untouched.
+ *
+ * The manifest's `paths` (and `locales`) entries are either written inline
+ * or `$ref`s to other files; fields next to `$ref` override the
+ * referenced file's. Presets are then expanded, the content localized for
+ * the viewer's language and personalized with `{{name}}` values
+ * (js/content.js), and the result is checked against SLIDES_SCHEMA
+ * (js/schema.js). Warnings are logged to the console and returned, and
+ * the app carries on (see showContentWarnings); errors throw with the
+ * full report attached as `error.report`.
+ * Problems are reported against the file they are in.
+ *
+ * @param {string} url the manifest's URL
+ * @param {Map<string, *>} files from fetchSlidesFiles
+ * @param {Object} [options]
+ * @param {string} [options.locale] language to build, instead of the one
+ *   resolveLocale() picks
+ * @param {boolean} [options.personalize=true] false keeps `{{name}}`
+ *   tokens as written
+ * @returns {{config: Object, sourceConfig: Object, locale: string,
+ *   warnings: Array<{pointer: string, message: string}>}} the localized
+ *   configuration, the configuration before localization (for switching
+ *   language later), the chosen locale and the warnings found
  */
-function render() {
-  const appRoot = getAppRoot();
-  const splashRoot = getSplashRoot();
-  const stageRoot = getStageRoot();
-
-  if (appState.mode === "SPLASH") {
-    splashRoot.hidden = false;
-    stageRoot.hidden = true;
-    stageRoot.classList.remove("fullscreen");
+function buildSlidesConfiguration(url, files, options = {}) {
+  const data = cloneJson(files.get(url));
+  const resolveEntry = (entry) => {
+    if (typeof entry?.$ref !== "string") return entry;
+    const { $ref, ...overrides } = entry;
+    return {
+      ...cloneJson(files.get(resolveRelativeUrl($ref, url))),
+      ...overrides,
+    };
+  };
 
-    const firstButton = splashRoot.querySelector("button");
-    if (firstButton) firstButton.focus();
-    return;
+  const pathFiles = [];
+  const localeFiles = {};
+  if (Array.isArray(data?.paths)) {
+    data.paths = data.paths.map((entry, index) => {
+      if (typeof entry?.$ref === "string") {
+        pathFiles[index] = resolveRelativeUrl(entry.$ref, url);
+      }
+      return resolveEntry(entry);
+    });
+  }
+  if (data?.locales && typeof data.locales === "object") {
+    Object.keys(data.locales).forEach((locale) => {
+      const entry = data.locales[locale];
+      if (typeof entry?.$ref === "string") {
+        localeFiles[locale] = resolveRelativeUrl(entry.$ref, url);
+      }
+      data.locales[locale] = resolveEntry(entry);
+    });
   }
 
-  if (appState.mode === "RUNNING") {
-    splashRoot.hidden = true;
-    stageRoot.hidden = false;
-    stageRoot.classList.add("fullscreen");
+  const presetErrors = applyContentPresets(data);
+  const locale = options.locale || resolveLocale(data);
+  const localized = localizeContent(data, locale);
+  const unfilled =
+    options.personalize === false
+      ? []
+      : personalizeContent(localized.config, resolveContentVariables(data));
+  const schemaReport = validateSlidesConfiguration(localized.config);
+  schemaReport.warnings.push(
+    ...unfilled.map(({ pointer, name }) => ({
+      pointer,
+      message: `{{${name}}} has no value; give it a default in \`variables\``,
+    }))
+  );
+  schemaReport.errors.unshift(
+    ...presetErrors,
+    ...localized.missing.map(({ pointer, key }) => ({
+      pointer,
+      message: `string "${key}" is not in the "${getDefaultLocale(
+        data
+      )}" table`,
+    }))
+  );
 
-    renderSlide();
-    return;
+  const report = locateReportProblems(
+    schemaReport,
+    url,
+    pathFiles,
+    localeFiles
+  );
+  report.warnings.forEach(({ pointer, message }) =>
+    console.warn(`${pointer}: ${message}`)
+  );
+  if (report.errors.length > 0) {
+    const error = new Error(
+      `Found ${report.errors.length} problem(s) that must be fixed:`
+    );
+    error.report = report;
+    throw error;
   }
+  return {
+    config: localized.config,
+    sourceConfig: data,
+    locale,
+    warnings: report.warnings,
+  };
+}
 
-  if (appState.mode === "BOOT") {
-    splashRoot.hidden = false;
-    stageRoot.hidden = true;
-    stageRoot.classList.remove("fullscreen");
-    showLoadingOnSplash();
+/**
+ * @param {*} value parsed JSON
+ * @returns {*} a deep copy
+ */
+function cloneJson(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Fetches and parses one JSON file, with errors that name the file.
+ *
+ * @param {string} url
+ * @returns {Promise<*>}
+ */
+async function fetchJsonFile(url) {
+  const response = await fetch(url, { cache: "no-cache" });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url} (HTTP ${response.status})`);
+  }
+  try {
+    return await response.json();
+  } catch (parseError) {
+    throw new Error(`${url} is not valid JSON: ${parseError.message}`);
   }
 }
 
 /**
- * Shows a loading indicator in the splash button area while the app boots.
+ * Resolves a reference relative to the file that contains it, keeping
+ * the result relative to the page (e.g. "paths/bank.json" from
+ * "js/slides.json" gives "js/paths/bank.json").
+ *
+ * @param {string} reference
+ * @param {string} fromUrl
+ * @returns {string}
  */
-function showLoadingOnSplash() {
-  const splashButtons = getSplashButtonsRoot();
-  clearElement(splashButtons);
-  const loader = document.createElement("div");
-  loader.className = "loading";
-  loader.textContent = "Loading…";
-  splashButtons.appendChild(loader);
+function resolveRelativeUrl(reference, fromUrl) {
+  const pageUrl = new URL(".", window.location.href).href;
+  const resolved = new URL(reference, new URL(fromUrl, window.location.href));
+  return resolved.href.startsWith(pageUrl)
+    ? resolved.href.slice(pageUrl.length)
+    : resolved.href;
 }
 
 /**
- * Renders a user-facing error when configuration cannot be loaded.
+ * Centralized state setter to ensure teardown happens before the next render.
+ * The resulting position is reflected into the URL so it can be reloaded,
+ * shared, and navigated with the browser's Back/Forward buttons.
  *
- * @param {string} message
+ * @param {Object} nextPartialState
+ * @param {Object} [options]
+ * @param {boolean} [options.replaceHistory=false] replace the current history
+ *   entry instead of pushing a new one
  */
-function renderFatalError(message) {
-  const appRoot = getAppRoot();
-  clearElement(appRoot);
-  const container = document.createElement("div");
-  container.className = "error";
-  const text = document.createElement("p");
-  text.textContent = message;
-  container.appendChild(text);
-  appRoot.appendChild(container);
+function setState(nextPartialState, options = {}) {
+  // Moving anywhere resumes a paused experience.
+  if (appState.paused) setPaused(false);
+  runTeardownHandlers();
+  Object.assign(appState, nextPartialState);
+  render();
+  syncLocationWithState(options.replaceHistory === true);
+  recordPathProgress();
+  scheduleAutoplayStep();
 }
 
 /**
- * Builds one splash button per path using the configuration that has been loaded.
- * Buttons preserve native accessibility and focus behavior across devices.
+ * Records a new sequential overlay position without re-rendering.
+ * Overlay steps replace the current history entry so Back/Forward
+ * move between slides rather than individual overlays.
+ *
+ * @param {number} overlayIndex
  */
-function buildSplashButtons() {
-  const buttonsWrapper = getSplashButtonsRoot();
-  clearElement(buttonsWrapper);
-  const paths = getPathsConfig();
+function setOverlayIndex(overlayIndex) {
+  appState.overlayIndex = overlayIndex;
+  syncLocationWithState(true);
+  recordPathProgress();
+  renderProgressIndicator();
+}
 
-  paths.forEach((pathDefinition, index) => {
-    const btn = document.createElement("button");
-    btn.type = "button";
-    btn.className = "splash-button";
+/**
+ * Builds the location hash for the current state:
+ * "#/<path>/<slide>[/<overlay>]", or "" on the splash. Slides are named by
+ * their `id` when they have one, otherwise by 1-based number; overlays by
+ * 1-based number, omitted for the first overlay.
+ *
+ * @returns {string}
+ */
+function buildLocationHash() {
+  if (appState.mode !== "RUNNING") return "";
+
+  const pathDefinition = getPathsConfig()[appState.pathIndex];
+  if (!pathDefinition) return "";
+
+  const slide = pathDefinition.slides?.[appState.slideIndex];
+  const slideSegment =
+    typeof slide?.id === "string" && slide.id
+      ? encodeURIComponent(slide.id)
+      : appState.slideIndex + 1;
+
+  const pathSlug = getPathSlug(pathDefinition, appState.pathIndex);
+  let hash = `#/${pathSlug}/${slideSegment}`;
+  if (typeof appState.overlayIndex === "number" && appState.overlayIndex > 0) {
+    hash += `/${appState.overlayIndex + 1}`;
+  }
+  return hash;
+}
 
-    const img = document.createElement("img");
-    img.src = pathDefinition.image;
-    img.alt = pathDefinition.title || `Path ${index + 1}`;
-    img.decoding = "async";
-    img.loading = "lazy";
-    img.className = "splash-button-img";
+/**
+ * Parses a location hash produced by buildLocationHash.
+ * Returns null when the hash is empty or does not match a slide.
+ *
+ * @param {string} hash
+ * @returns {{pathIndex: number, slideIndex: number, overlayIndex: number|null}|null}
+ */
+function parseLocationHash(hash) {
+  const match = /^#\/([^/]+)(?:\/([^/]+))?(?:\/(\d+))?\/?$/.exec(hash || "");
+  if (!match) return null;
 
-    const onSelect = () => selectPath(index);
-    btn.addEventListener("click", onSelect);
+  const pathIndex = findPathIndex(decodeURIComponent(match[1]));
+  if (pathIndex < 0) return null;
 
-    btn.appendChild(img);
-    buttonsWrapper.appendChild(btn);
-  });
+  const slideIndex = match[2]
+    ? findSlideIndex(pathIndex, decodeURIComponent(match[2]))
+    : 0;
+  if (slideIndex < 0) return null;
+
+  const overlayIndex = match[3] ? Math.max(Number(match[3]) - 1, 0) : null;
+
+  return { pathIndex, slideIndex, overlayIndex };
 }
 
 /**
- * Creates global sound toggle buttons in the top-right corner.
- * They persist across modes (splash + stage) and just update appState for now.
+ * Resolves a slide reference used by "goto" actions:
+ * "<path>/<slide>" for any path, or "<slide>" within the current path.
+ * Paths are matched by id or title slug; slides by id or 1-based number.
+ *
+ * @param {string} target e.g. "travel/outage-detail", "meal/4", "cta"
+ * @returns {{pathIndex: number, slideIndex: number}|null}
  */
-function createGlobalAudioToggles() {
-  // Avoid duplicates if initializeApplication is ever re-run.
-  if (document.querySelector(".global-audio-controls")) return;
+function resolveSlideTarget(target) {
+  if (typeof target !== "string" || !target) return null;
 
-  const container = document.createElement("div");
-  container.className = "global-audio-controls";
+  const parts = target.split("/");
+  if (parts.length > 2) return null;
 
-  // --- Single unified audio button (uses previous "sound" icon) ---
-  const soundBtn = document.createElement("button");
-  soundBtn.type = "button";
-  soundBtn.className = "audio-toggle audio-toggle-sound";
-  soundBtn.setAttribute("aria-label", "Toggle audio");
-  soundBtn.setAttribute("aria-pressed", "true");
-  soundBtn.innerHTML = `
-    <svg viewBox="0 0 24 24" aria-hidden="true">
-      <path d="M5 9v6h3l4 4V5L8 9H5zm11.54-2.12 1.41 1.41A5.98 5.98 0 0 1 19 12c0 1.38-.47 2.65-1.26 3.67l-1.41-1.41A3.98 3.98 0 0 0 17 12c0-.92-.32-1.77-.86-2.45zM14.5 7.5 16 6a7.96 7.96 0 0 1 0 12l-1.5-1.5A5.96 5.96 0 0 0 18 12a5.96 5.96 0 0 0-3.5-4.5z"/>
-    </svg>
-  `;
+  const pathIndex =
+    parts.length === 2 ? findPathIndex(parts[0]) : appState.pathIndex;
+  if (typeof pathIndex !== "number" || pathIndex < 0) return null;
 
-  soundBtn.addEventListener("click", () => {
-    // Unified flag: both music and sounds use this
+  const slideIndex = findSlideIndex(pathIndex, parts[parts.length - 1]);
+  if (slideIndex < 0) return null;
+
+  return { pathIndex, slideIndex };
+}
+
+/**
+ * Finds a path by its slug (see getPathSlug), `id` or `title`,
+ * case-insensitively.
+ *
+ * @param {string} reference
+ * @returns {number} path index, or -1
+ */
+function findPathIndex(reference) {
+  const slug = String(reference).toLowerCase();
+  return getPathsConfig().findIndex(
+    (pathDefinition, index) =>
+      getPathSlug(pathDefinition, index) === slug ||
+      pathMatchesReference(pathDefinition, reference)
+  );
+}
+
+/**
+ * Finds a slide within a path by its id, or by 1-based number.
+ *
+ * @param {number} pathIndex
+ * @param {string} reference
+ * @returns {number} slide index, or -1
+ */
+function findSlideIndex(pathIndex, reference) {
+  const slides = getPathsConfig()[pathIndex]?.slides || [];
+
+  const byId = slides.findIndex((slide) => slide?.id === reference);
+  if (byId >= 0) return byId;
+
+  if (/^\d+$/.test(reference)) {
+    const index = Number(reference) - 1;
+    if (index >= 0 && index < slides.length) return index;
+  }
+  return -1;
+}
+
+/**
+ * Returns the URL-safe name used for a path in location hashes and
+ * slide references: its `id` when set, otherwise derived from its
+ * title (e.g. "Travel" -> "travel").
+ *
+ * @param {Object} pathDefinition
+ * @param {number} index
+ * @returns {string}
+ */
+function getPathSlug(pathDefinition, index) {
+  if (typeof pathDefinition?.id === "string" && pathDefinition.id) {
+    return pathDefinition.id.toLowerCase();
+  }
+  return slugifyPathTitle(pathDefinition?.title) || `path-${index + 1}`;
+}
+
+/**
+ * Pushes (or replaces) a history entry when the URL no longer matches the
+ * current state. Failures (e.g. restricted file:// pages) are ignored.
+ *
+ * @param {boolean} replace
+ */
+function syncLocationWithState(replace) {
+  const hash = buildLocationHash();
+  if (hash === window.location.hash) return;
+
+  const url = hash || window.location.pathname + window.location.search;
+  try {
+    if (replace) {
+      window.history.replaceState(null, "", url);
+    } else {
+      window.history.pushState(null, "", url);
+    }
+  } catch {
+    // History is a convenience; the app works without it.
+  }
+}
+
+/**
+ * Moves the app to the position described by the URL. Used on boot and
+ * when the browser's Back/Forward buttons change the location.
+ * Moving to an earlier slide of the same path shows it in its final state,
+ * as the in-app back navigation does.
+ */
+function restoreStateFromLocation() {
+  const isRunning = appState.mode === "RUNNING";
+  let position = parseLocationHash(window.location.hash);
+
+  // A link into a locked path opens the splash, which shows the lock.
+  if (
+    position &&
+    (!isRunning || position.pathIndex !== appState.pathIndex) &&
+    isPathEntryLocked(position.pathIndex)
+  ) {
+    position = null;
+  }
+
+  if (!position) {
+    if (appState.mode === "RUNNING") {
+      returnToSplash({ replaceHistory: true });
+    } else {
+      setState(
+        {
+          mode: "SPLASH",
+          pathIndex: null,
+          slideIndex: null,
+          overlayIndex: null,
+          finalState: false,
+        },
+        { replaceHistory: true }
+      );
+    }
+    return;
+  }
+
+  const steppingBack =
+    isRunning &&
+    position.pathIndex === appState.pathIndex &&
+    position.slideIndex < appState.slideIndex;
+
+  // Entering a path from outside: the splash music must not carry over.
+  if (!isRunning) stopMusic();
+
+  setState(
+    {
+      mode: "RUNNING",
+      pathIndex: position.pathIndex,
+      slideIndex: position.slideIndex,
+      overlayIndex: position.overlayIndex,
+      finalState: steppingBack,
+    },
+    { replaceHistory: true }
+  );
+}
+
+/**
+ * Follows browser Back/Forward navigation between slides.
+ */
+function attachHistoryBindings() {
+  window.addEventListener("popstate", () => {
+    if (!appState.config) return;
+    restoreStateFromLocation();
+  });
+}
+
+/**
+ * Renders the current state. Splash is part of the HTML; stage visibility is toggled here.
+ */
+function render() {
+  const appRoot = getAppRoot();
+  const splashRoot = getSplashRoot();
+  const stageRoot = getStageRoot();
+
+  updatePauseUI();
+
+  if (appState.mode === "SPLASH") {
+    splashRoot.hidden = false;
+    stageRoot.hidden = true;
+    stageRoot.classList.remove("fullscreen");
+    stageSlideKey = null;
+
+    // Rebuilt on every visit so completion badges and locks stay current.
+    buildSplashButtons();
+    renderLanguagePicker();
+
+    const firstButton =
+      splashRoot.querySelector(".splash-button.is-recommended") ||
+      splashRoot.querySelector("button:not(:disabled)");
+    if (firstButton) firstButton.focus();
+    return;
+  }
+
+  if (appState.mode === "RUNNING") {
+    splashRoot.hidden = true;
+    stageRoot.hidden = false;
+    stageRoot.classList.add("fullscreen");
+
+    renderSlide();
+    return;
+  }
+
+  if (appState.mode === "BOOT") {
+    splashRoot.hidden = false;
+    stageRoot.hidden = true;
+    stageRoot.classList.remove("fullscreen");
+    showLoadingOnSplash();
+  }
+}
+
+/**
+ * Shows a loading indicator in the splash button area while the app boots.
+ */
+function showLoadingOnSplash() {
+  const splashButtons = getSplashButtonsRoot();
+  clearElement(splashButtons);
+  const loader = document.createElement("div");
+  loader.className = "loading";
+  loader.textContent = translate("ui.loading");
+  splashButtons.appendChild(loader);
+}
+
+/**
+ * Renders a user-facing error when configuration cannot be loaded.
+ * The underlying cause is shown beneath it for whoever is editing the
+ * content; schema problems are listed one per JSON pointer.
+ *
+ * @param {string} message
+ * @param {Error} [error] cause, optionally carrying a schema `report`
+ */
+function renderFatalError(message, error) {
+  const appRoot = getAppRoot();
+  clearElement(appRoot);
+  const container = document.createElement("div");
+  container.className = "error";
+  const text = document.createElement("p");
+  text.textContent = message;
+  container.appendChild(text);
+
+  if (error?.message) {
+    const detail = document.createElement("p");
+    detail.className = "error-detail";
+    detail.textContent = error.message;
+    container.appendChild(detail);
+  }
+  if (error?.report) {
+    container.appendChild(createProblemList(error.report.errors, "error"));
+    if (error.report.warnings.length > 0) {
+      const warningsHeading = document.createElement("p");
+      warningsHeading.className = "error-detail";
+      warningsHeading.textContent = "Warnings:";
+      container.appendChild(warningsHeading);
+      container.appendChild(
+        createProblemList(error.report.warnings, "warning")
+      );
+    }
+  }
+
+  appRoot.appendChild(container);
+}
+
+// Panel listing the content's warnings, once created.
+let contentWarningsPanel = null;
+
+/**
+ * Lists the content's warnings in a panel the author can dismiss, while
+ * working on the content: with `?edit`, `?debug` or `?watch`. Viewers
+ * never see it; the warnings are in the console for them too. Called
+ * again after each live reload, an empty list hides the panel.
+ *
+ * @param {Array<{pointer: string, message: string}>} warnings
+ */
+function showContentWarnings(warnings) {
+  const params = new URLSearchParams(window.location.search);
+  const authoring = [
+    APP_CONSTANTS.editParam,
+    APP_CONSTANTS.debugParam,
+    APP_CONSTANTS.watchParam,
+  ].some((param) => params.has(param));
+  if (!authoring) return;
+
+  if (!contentWarningsPanel) {
+    if (warnings.length === 0) return;
+    contentWarningsPanel = document.createElement("div");
+    contentWarningsPanel.className = "error content-warnings";
+    contentWarningsPanel.setAttribute("role", "status");
+    document.body.appendChild(contentWarningsPanel);
+  }
+
+  const panel = contentWarningsPanel;
+  clearElement(panel);
+  panel.hidden = warnings.length === 0;
+  if (panel.hidden) return;
+
+  const heading = document.createElement("p");
+  heading.textContent = `${warnings.length} warning(s) in the content:`;
+  const dismiss = document.createElement("button");
+  dismiss.type = "button";
+  dismiss.className = "content-warnings-dismiss";
+  dismiss.textContent = "Dismiss";
+  dismiss.addEventListener("click", () => {
+    panel.hidden = true;
+  });
+  panel.appendChild(heading);
+  panel.appendChild(createProblemList(warnings, "warning"));
+  panel.appendChild(dismiss);
+}
+
+/**
+ * Builds a list of schema problems, one "pointer message" line each.
+ *
+ * @param {Array<{pointer: string, message: string}>} problems
+ * @param {"error"|"warning"} severity
+ * @returns {HTMLUListElement}
+ */
+function createProblemList(problems, severity) {
+  const list = document.createElement("ul");
+  list.className = `error-list error-list-${severity}`;
+  problems.forEach(({ pointer, message }) => {
+    const item = document.createElement("li");
+    const code = document.createElement("code");
+    code.textContent = pointer || "/";
+    item.appendChild(code);
+    item.appendChild(document.createTextNode(` ${message}`));
+    list.appendChild(item);
+  });
+  return list;
+}
+
+/**
+ * Builds one splash button per path using the configuration that has been loaded.
+ * Buttons preserve native accessibility and focus behavior across devices.
+ *
+ * Cards reflect saved progress: completed paths get a checkmark badge,
+ * paths whose `requires` are not all completed are locked, and the first
+ * open, unfinished path is highlighted as the recommended next one once
+ * the viewer has completed any path.
+ */
+function buildSplashButtons() {
+  const buttonsWrapper = getSplashButtonsRoot();
+  clearElement(buttonsWrapper);
+  const paths = getPathsConfig();
+
+  const availability = paths.map((pathDefinition, index) =>
+    getPathAvailability(index)
+  );
+  const anyCompleted = availability.some((a) => a.completed);
+  const recommendedIndex = anyCompleted
+    ? availability.findIndex((a) => !a.completed && !a.locked)
+    : -1;
+
+  paths.forEach((pathDefinition, index) => {
+    const { completed, locked, missing } = availability[index];
+    const title =
+      pathDefinition.title || translate("ui.pathTitle", { number: index + 1 });
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "splash-button";
+
+    const img = document.createElement("img");
+    img.src = pathDefinition.image;
+    img.alt = title;
+    img.decoding = "async";
+    img.loading = "lazy";
+    img.className = "splash-button-img";
+    btn.appendChild(img);
+
+    if (locked) {
+      btn.disabled = true;
+      btn.classList.add("is-locked");
+      const paths = missing.join(", ");
+      btn.title = translate("ui.lockedTitle", { paths });
+      img.alt = translate("ui.lockedAlt", { title, paths });
+      btn.appendChild(createSplashBadge("splash-badge-locked", "🔒"));
+    } else if (completed) {
+      btn.classList.add("is-completed");
+      img.alt = translate("ui.completedAlt", { title });
+      btn.appendChild(createSplashBadge("splash-badge-completed", "✓"));
+    }
+
+    if (index === recommendedIndex) {
+      btn.classList.add("is-recommended");
+      img.alt = translate("ui.recommendedAlt", { title });
+      btn.appendChild(
+        createSplashBadge(
+          "splash-badge-recommended",
+          translate("ui.recommendedBadge")
+        )
+      );
+    }
+
+    const onSelect = () => choosePathFromSplash(index);
+    btn.addEventListener("click", onSelect);
+
+    buttonsWrapper.appendChild(btn);
+  });
+}
+
+/**
+ * Creates a small decorative badge for a splash card. The card's image
+ * alt text carries the same information for assistive tech.
+ *
+ * @param {string} modifierClass
+ * @param {string} text
+ * @returns {HTMLSpanElement}
+ */
+function createSplashBadge(modifierClass, text) {
+  const badge = document.createElement("span");
+  badge.className = `splash-badge ${modifierClass}`;
+  badge.setAttribute("aria-hidden", "true");
+  badge.textContent = text;
+  return badge;
+}
+
+/**
+ * Reports whether a path has been completed and whether it is locked.
+ * A path is locked while any path listed in its `requires` (by id or
+ * title, see findPathIndex) has not been completed. Unknown requirements
+ * are ignored; the schema warns about them.
+ *
+ * @param {number} pathIndex
+ * @returns {{completed: boolean, locked: boolean, missing: string[]}}
+ */
+function getPathAvailability(pathIndex) {
+  const pathDefinition = getPathsConfig()[pathIndex];
+  const completed = getSavedPathProgress(pathIndex)?.completed === true;
+  const requires = Array.isArray(pathDefinition?.requires)
+    ? pathDefinition.requires
+    : [];
+
+  const missing = [];
+  requires.forEach((reference) => {
+    const requiredIndex = findPathIndex(reference);
+    if (requiredIndex < 0 || requiredIndex === pathIndex) return;
+    if (getSavedPathProgress(requiredIndex)?.completed !== true) {
+      const required = getPathsConfig()[requiredIndex];
+      missing.push(
+        required.title ||
+          translate("ui.pathTitle", { number: requiredIndex + 1 })
+      );
+    }
+  });
+
+  return { completed, locked: missing.length > 0, missing };
+}
+
+/**
+ * Checks a path before entering it some other way than its splash card,
+ * which shows the lock itself: links, `path` and `goto` actions, autoplay
+ * and the debug jump list all stop at a locked path.
+ *
+ * @param {number} pathIndex
+ * @returns {boolean} true if the path is locked (and was not entered)
+ */
+function isPathEntryLocked(pathIndex) {
+  const { locked, missing } = getPathAvailability(pathIndex);
+  if (locked) {
+    const slug = getPathSlug(getPathsConfig()[pathIndex], pathIndex);
+    console.warn(
+      `Path "${slug}" is locked: complete ${missing.join(", ")} first`
+    );
+  }
+  return locked;
+}
+
+/**
+ * Creates global sound toggle buttons in the top-right corner.
+ * They persist across modes (splash + stage) and just update appState for now.
+ */
+function createGlobalAudioToggles() {
+  // Avoid duplicates if initializeApplication is ever re-run.
+  if (document.querySelector(".global-audio-controls")) return;
+
+  const container = document.createElement("div");
+  container.className = "global-audio-controls";
+
+  // --- Single unified audio button (uses previous "sound" icon) ---
+  const soundBtn = document.createElement("button");
+  soundBtn.type = "button";
+  soundBtn.className = "audio-toggle audio-toggle-sound";
+  soundBtn.dataset.i18nAriaLabel = "ui.toggleAudio";
+  soundBtn.setAttribute("aria-label", translate("ui.toggleAudio"));
+  soundBtn.setAttribute("aria-pressed", "true");
+  soundBtn.innerHTML = `
+    <svg viewBox="0 0 24 24" aria-hidden="true">
+      <path d="M5 9v6h3l4 4V5L8 9H5zm11.54-2.12 1.41 1.41A5.98 5.98 0 0 1 19 12c0 1.38-.47 2.65-1.26 3.67l-1.41-1.41A3.98 3.98 0 0 0 17 12c0-.92-.32-1.77-.86-2.45zM14.5 7.5 16 6a7.96 7.96 0 0 1 0 12l-1.5-1.5A5.96 5.96 0 0 0 18 12a5.96 5.96 0 0 0-3.5-4.5z"/>
+    </svg>
+  `;
+
+  soundBtn.addEventListener("click", () => {
+    // Unified flag: both music and sounds use this
     const nextEnabled = !appState.soundEnabled;
     appState.soundEnabled = nextEnabled;
     appState.musicEnabled = nextEnabled;
 
     updateGlobalAudioTogglesUI();
+    saveAudioPreference();
 
     if (!nextEnabled) {
       // Turning audio OFF: pause/stop everything and mute videos
@@ -399,8 +1432,16 @@ function attachFreezeOnLastFrame(video) {
 function renderSlide() {
   const stageRoot = getStageRoot();
   const stageInner = stageRoot.querySelector(".stage-inner");
+  const previousSlideKey = stageSlideKey;
+  stageSlideKey = `${appState.pathIndex}/${appState.slideIndex}`;
+  const outgoing = [...stageInner.childNodes];
   clearElement(stageInner);
   overlayAdvanceHandler = null;
+  overlayRetreatHandler = null;
+  overlaySequenceInspector = null;
+  restartSlideClock(pendingSlideSeek);
+  pendingSlideSeek = 0;
+  const startAt = slideClock.offset;
 
   const currentPath = getPathsConfig()[appState.pathIndex];
   const currentSlide = currentPath.slides[appState.slideIndex];
@@ -418,6 +1459,20 @@ function renderSlide() {
 
   const baseMedia = createBaseMediaElement(currentSlide.base);
   stageInner.appendChild(baseMedia);
+  if (
+    previousSlideKey &&
+    previousSlideKey !== stageSlideKey &&
+    !isEditorActive()
+  ) {
+    crossFadeFromPreviousSlide(stageInner, outgoing, currentSlide.transition);
+  }
+  if (startAt > 0 && baseMedia instanceof HTMLVideoElement) {
+    try {
+      baseMedia.currentTime = startAt / 1000;
+    } catch {
+      // Ignore seek errors on some platforms.
+    }
+  }
 
   if (
     currentSlide.base?.type === "video" &&
@@ -427,19 +1482,18 @@ function renderSlide() {
     attachFreezeOnLastFrame(baseMedia);
   }
 
-  const useSequentialOverlays =
-    currentSlide.sequential !== false &&
-    Array.isArray(overlays) &&
-    overlays.length > 0 &&
-    currentSlide.advance === "click";
-
-  if (useSequentialOverlays) {
+  if (isEditorActive()) {
+    // Authoring mode: every overlay at once, nothing plays or advances.
+    renderEditorOverlays(stageInner, currentSlide);
+  } else if (slideUsesSequentialOverlays(currentSlide)) {
     // Sequential overlays: click to step through overlays, then advance slide.
     renderSequentialOverlays(stageRoot, stageInner, overlays);
   } else {
     // Original behavior: stage click advances slide if allowed.
     if (shouldStageAdvanceOnClick(currentSlide)) {
-      const advanceHandler = () => goToNextSlideFromUserGesture();
+      const advanceHandler = () => {
+        if (!completeTypewriters()) goToNextSlideFromUserGesture();
+      };
       stageRoot.addEventListener("click", advanceHandler);
       registerTeardownHandler(() =>
         stageRoot.removeEventListener("click", advanceHandler)
@@ -450,18 +1504,24 @@ function renderSlide() {
       currentSlide.advance === "timer" &&
       typeof currentSlide.duration === "number"
     ) {
-      const timerId = window.setTimeout(
-        () => moveToNextSlide(),
-        currentSlide.duration
+      // An unanswered quiz holds the slide; its Continue button moves on.
+      const timerId = scheduleTimeout(
+        () => {
+          if (!slideHasUnansweredQuiz()) moveToNextSlide();
+        },
+        currentSlide.duration - startAt,
+        "timer slide"
       );
-      registerTeardownHandler(() => window.clearTimeout(timerId));
+      registerTeardownHandler(() => cancelScheduledTimeout(timerId));
     }
 
     if (
       currentSlide.base?.type === "video" &&
       currentSlide.advance === "video-end"
     ) {
-      const endedHandler = () => moveToNextSlide();
+      const endedHandler = () => {
+        if (!slideHasUnansweredQuiz()) moveToNextSlide();
+      };
       baseMedia.addEventListener("ended", endedHandler);
       registerTeardownHandler(() =>
         baseMedia.removeEventListener("ended", endedHandler)
@@ -472,39 +1532,252 @@ function renderSlide() {
     renderOverlays(stageInner, overlays);
   }
 
+  renderProgressIndicator();
   preloadNextPrimaryAsset();
   stageRoot.focus({ preventScroll: true });
 }
 
 /**
- * Selects a path and starts from its first slide.
+ * Returns the progress UI options for the current path.
+ * Top-level `progress` in slides.json sets the defaults; a path may
+ * override individual options, or disable the UI with `progress: false`.
  *
- * @param {number} pathIndex
+ * @returns {{counter: boolean, bar: boolean, steps: boolean}}
  */
-function selectPath(pathIndex) {
-  stopMusic();
-  playSound("click1");
-  setState({ mode: "RUNNING", pathIndex, slideIndex: 0 });
+function getProgressOptions() {
+  const options = { counter: false, bar: false, steps: false };
+  const globalOptions = appState.config?.progress;
+  const pathOptions = getPathsConfig()[appState.pathIndex]?.progress;
+
+  if (pathOptions === false) return options;
+  if (globalOptions && typeof globalOptions === "object") {
+    Object.assign(options, globalOptions);
+  }
+  if (pathOptions && typeof pathOptions === "object") {
+    Object.assign(options, pathOptions);
+  }
+  return options;
 }
 
 /**
- * Advances to the next slide, or returns to the splash when the path ends.
+ * Renders (or refreshes) the progress UI on the stage: a "3 / 7" slide
+ * counter and a segmented bar with one segment per slide. With `steps`
+ * enabled, the current segment is split into the slide's sequential
+ * overlays so viewers can see how far through the slide they are.
+ *
+ * Called after every slide render and every sequential overlay step.
  */
-function moveToNextSlide() {
-  playSound("click2");
-
-  // Advance on the next frame so the audio element isn't torn down mid-start
-  requestAnimationFrame(() => {
-    const paths = getPathsConfig();
-    const currentPath = paths[appState.pathIndex];
-    const nextIndex = appState.slideIndex + 1;
+function renderProgressIndicator() {
+  if (appState.mode !== "RUNNING") return;
 
-    if (nextIndex >= currentPath.slides.length) {
-      returnToSplash();
-      return;
+  const stageInner = getStageRoot().querySelector(".stage-inner");
+  const currentPath = getPathsConfig()[appState.pathIndex];
+  if (!stageInner || !currentPath) return;
+
+  const options = getProgressOptions();
+  const total = currentPath.slides.length;
+  const current = appState.slideIndex + 1;
+
+  let counter = stageInner.querySelector(".slide-counter");
+  if (options.counter) {
+    if (!counter) {
+      counter = document.createElement("div");
+      counter.className = "slide-counter";
+      stageInner.appendChild(counter);
     }
+    counter.textContent = `${current} / ${total}`;
+  } else if (counter) {
+    counter.remove();
+  }
 
-    setState({ mode: "RUNNING", slideIndex: nextIndex });
+  let bar = stageInner.querySelector(".progress-bar");
+  if (!options.bar) {
+    if (bar) bar.remove();
+    return;
+  }
+  if (!bar) {
+    bar = document.createElement("div");
+    bar.className = "progress-bar";
+    bar.setAttribute("role", "progressbar");
+    bar.setAttribute("aria-label", translate("ui.progress"));
+    bar.setAttribute("aria-valuemin", "1");
+    stageInner.appendChild(bar);
+  }
+  bar.setAttribute("aria-valuemax", String(total));
+  bar.setAttribute("aria-valuenow", String(current));
+  clearElement(bar);
+
+  const stepCount = options.steps
+    ? getSequentialOverlayDefinitions(currentPath.slides[appState.slideIndex])
+        .length
+    : 0;
+
+  for (let index = 0; index < total; index += 1) {
+    const segment = document.createElement("div");
+    segment.className = "progress-segment";
+
+    if (index < appState.slideIndex) {
+      segment.classList.add("is-complete");
+    } else if (index === appState.slideIndex) {
+      segment.classList.add("is-current");
+
+      if (stepCount > 1) {
+        segment.classList.add("has-steps");
+        const reached =
+          typeof appState.overlayIndex === "number" ? appState.overlayIndex : 0;
+        for (let step = 0; step < stepCount; step += 1) {
+          const pip = document.createElement("span");
+          pip.className = "progress-step";
+          if (step <= reached) pip.classList.add("is-complete");
+          segment.appendChild(pip);
+        }
+      }
+    }
+
+    bar.appendChild(segment);
+  }
+}
+
+/**
+ * Selects a path and starts from its first slide, as a new attempt at its
+ * quizzes. Does nothing while the path is locked.
+ *
+ * @param {number} pathIndex
+ */
+function selectPath(pathIndex) {
+  if (isPathEntryLocked(pathIndex)) return;
+  clearQuizAnswers(pathIndex);
+  stopMusic();
+  playSound("click1");
+  setState({
+    mode: "RUNNING",
+    pathIndex,
+    slideIndex: 0,
+    overlayIndex: null,
+    finalState: false,
+  });
+}
+
+/**
+ * Handles a path card on the splash. A path that was left part-way
+ * through offers to resume from the saved slide or start over;
+ * otherwise it starts from the top.
+ *
+ * @param {number} pathIndex
+ */
+function choosePathFromSplash(pathIndex) {
+  const saved = getSavedPathProgress(pathIndex);
+  // A kiosk serves a new visitor each time; never offer someone else's spot.
+  if (appState.kiosk || !isResumable(pathIndex, saved)) {
+    selectPath(pathIndex);
+    return;
+  }
+  showResumePrompt(pathIndex, saved);
+}
+
+/**
+ * Starts a path at its saved position.
+ *
+ * @param {number} pathIndex
+ * @param {Object} saved progress entry from getSavedPathProgress
+ */
+function resumePath(pathIndex, saved) {
+  stopMusic();
+  playSound("click1");
+  setState({
+    mode: "RUNNING",
+    pathIndex,
+    slideIndex: saved.slideIndex,
+    overlayIndex:
+      typeof saved.overlayIndex === "number" ? saved.overlayIndex : null,
+    finalState: false,
+  });
+  playStageVideoFromUserGesture();
+}
+
+/**
+ * Shows a "Resume" / "Start over" choice over the splash for a path
+ * with saved progress. The prompt is removed on the next state change.
+ *
+ * @param {number} pathIndex
+ * @param {Object} saved
+ */
+function showResumePrompt(pathIndex, saved) {
+  const splashRoot = getSplashRoot();
+  const existing = splashRoot.querySelector(".resume-prompt");
+  if (existing) existing.remove();
+
+  const pathDefinition = getPathsConfig()[pathIndex];
+  const total = pathDefinition.slides.length;
+
+  const prompt = document.createElement("div");
+  prompt.className = "resume-prompt";
+  prompt.setAttribute("role", "dialog");
+  prompt.setAttribute("aria-modal", "true");
+  prompt.setAttribute("aria-labelledby", "resume-prompt-title");
+
+  const title = document.createElement("h2");
+  title.id = "resume-prompt-title";
+  title.textContent =
+    pathDefinition.title ||
+    translate("ui.pathTitle", { number: pathIndex + 1 });
+
+  const text = document.createElement("p");
+  const stoppedAt = saved.slideIndex + 1;
+  text.textContent = translate("ui.resumeMessage", {
+    slide: stoppedAt,
+    total,
+  });
+
+  const actions = document.createElement("div");
+  actions.className = "cta-actions";
+
+  const resumeBtn = document.createElement("button");
+  resumeBtn.type = "button";
+  resumeBtn.className = "cta-button";
+  resumeBtn.textContent = translate("ui.resume");
+  resumeBtn.addEventListener("click", () => resumePath(pathIndex, saved));
+
+  const restartBtn = document.createElement("button");
+  restartBtn.type = "button";
+  restartBtn.className = "cta-button";
+  restartBtn.textContent = translate("ui.startOver");
+  restartBtn.addEventListener("click", () => selectPath(pathIndex));
+
+  actions.appendChild(resumeBtn);
+  actions.appendChild(restartBtn);
+  prompt.appendChild(title);
+  prompt.appendChild(text);
+  prompt.appendChild(actions);
+  splashRoot.appendChild(prompt);
+  resumeBtn.focus();
+
+  registerTeardownHandler(() => prompt.remove());
+}
+
+/**
+ * Advances to the next slide, or returns to the splash when the path ends.
+ */
+function moveToNextSlide() {
+  playSound("click2");
+
+  // Advance on the next frame so the audio element isn't torn down mid-start
+  requestAnimationFrame(() => {
+    const paths = getPathsConfig();
+    const currentPath = paths[appState.pathIndex];
+    const nextIndex = appState.slideIndex + 1;
+
+    if (nextIndex >= currentPath.slides.length) {
+      returnToSplash();
+      return;
+    }
+
+    setState({
+      mode: "RUNNING",
+      slideIndex: nextIndex,
+      overlayIndex: null,
+      finalState: false,
+    });
   });
 }
 
@@ -530,31 +1803,122 @@ function goToNextSlideFromUserGesture() {
   }
 
   // Synchronous state update & render inside the gesture.
-  setState({ mode: "RUNNING", slideIndex: nextIndex });
+  setState({
+    mode: "RUNNING",
+    slideIndex: nextIndex,
+    overlayIndex: null,
+    finalState: false,
+  });
+
+  playStageVideoFromUserGesture();
+}
+
+/**
+ * Moves back to the previous slide from a direct user gesture.
+ * The previous slide is shown in its final state: its last sequential
+ * overlay is visible and timed overlays are settled rather than replayed.
+ * Does nothing on the first slide of a path.
+ */
+function goToPreviousSlideFromUserGesture() {
+  const paths = getPathsConfig();
+  const currentPath = paths[appState.pathIndex];
+  if (!currentPath) return;
+
+  const previousIndex = appState.slideIndex - 1;
+  if (previousIndex < 0) return;
+
+  playSound("click2");
+
+  const previousSlide = currentPath.slides[previousIndex];
+  const sequenceDefs = getSequentialOverlayDefinitions(previousSlide);
+
+  setState({
+    mode: "RUNNING",
+    slideIndex: previousIndex,
+    overlayIndex: sequenceDefs.length > 0 ? sequenceDefs.length - 1 : null,
+    finalState: true,
+  });
+
+  playStageVideoFromUserGesture();
+}
+
+/**
+ * Jumps to any slide in any path from a direct user gesture.
+ * Used by "goto" overlay actions to branch within a scenario.
+ *
+ * @param {number} pathIndex
+ * @param {number} slideIndex
+ */
+function goToSlideFromUserGesture(pathIndex, slideIndex) {
+  const entering =
+    appState.mode !== "RUNNING" || pathIndex !== appState.pathIndex;
+  if (entering && isPathEntryLocked(pathIndex)) return;
+  playSound("click2");
+
+  setState({
+    mode: "RUNNING",
+    pathIndex,
+    slideIndex,
+    overlayIndex: null,
+    finalState: false,
+  });
+
+  playStageVideoFromUserGesture();
+}
+
+/**
+ * Steps back once: the previous sequential overlay if a sequence is
+ * active and not at its start, otherwise the previous slide.
+ */
+function stepBackFromUserGesture() {
+  if (typeof overlayRetreatHandler === "function") {
+    overlayRetreatHandler();
+  } else {
+    goToPreviousSlideFromUserGesture();
+  }
+}
 
-  // After render, find the base video (if any) and play it.
+/**
+ * Plays the freshly rendered base video (if any) inside the current
+ * user gesture so browsers do not block it as autoplay.
+ */
+function playStageVideoFromUserGesture() {
   try {
     const stageRoot = getStageRoot();
     const stageInner = stageRoot.querySelector(".stage-inner");
     if (!stageInner) return;
     const video = stageInner.querySelector("video.stage-media");
-    if (video) {
-      const p = video.play();
-      if (p && typeof p.then === "function") {
-        p.catch(() => {
-          // Autoplay might still be blocked; ignore.
-        });
-      }
-    }
+    if (video) playVideoMutedIfBlocked(video);
   } catch {
     // Ignore any errors here; keep UI responsive.
   }
 }
 
+/**
+ * Starts a video. Browsers refuse to start a video with sound before the
+ * viewer has interacted with the page, as happens with hands-free
+ * autoplay on a booth screen; the video then plays muted rather than
+ * standing on its first frame. The next video is given sound again.
+ *
+ * @param {HTMLVideoElement} video
+ */
+function playVideoMutedIfBlocked(video) {
+  const playPromise = video.play();
+  if (!playPromise || typeof playPromise.catch !== "function") return;
+  playPromise.catch((error) => {
+    if (error?.name !== "NotAllowedError" || video.muted) return;
+    if (appState.paused) return;
+    video.muted = true;
+    video.play()?.catch?.(() => {});
+  });
+}
+
 /**
  * Returns to the splash screen to allow users to choose a different path.
+ *
+ * @param {Object} [options] forwarded to setState
  */
-function returnToSplash() {
+function returnToSplash(options = {}) {
   stopMusic();
   stopSound();
   pauseAllVideos();
@@ -565,7 +1929,16 @@ function returnToSplash() {
   );
   playMusic(splashBGMusic);
 
-  setState({ mode: "SPLASH", pathIndex: null, slideIndex: null });
+  setState(
+    {
+      mode: "SPLASH",
+      pathIndex: null,
+      slideIndex: null,
+      overlayIndex: null,
+      finalState: false,
+    },
+    options
+  );
 }
 
 /**
@@ -589,7 +1962,7 @@ function createBaseMediaElement(base) {
     if (!video) {
       const fallback = document.createElement("div");
       fallback.className = "stage-media-fallback";
-      fallback.textContent = "Video unavailable";
+      fallback.textContent = translate("ui.videoUnavailable");
       return fallback;
     }
 
@@ -614,19 +1987,14 @@ function createBaseMediaElement(base) {
     video.muted = !appState.soundEnabled;
 
     video.autoplay = true;
-    const playPromise = video.play();
-    if (playPromise && typeof playPromise.then === "function") {
-      playPromise.catch(() => {
-        // Autoplay might be blocked; ignore.
-      });
-    }
+    playVideoMutedIfBlocked(video);
 
     return video;
   }
 
   const fallback = document.createElement("div");
   fallback.className = "stage-media-fallback";
-  fallback.textContent = "Unsupported base media";
+  fallback.textContent = translate("ui.unsupportedMedia");
   return fallback;
 }
 
@@ -634,6 +2002,8 @@ function createBaseMediaElement(base) {
  * Sequential overlay renderer.
  * Shows overlays one at a time in index order; each click
  * (stage or overlay "next") advances overlays, then moves to next slide.
+ * Backward steps (overlay "back" or the back keys) rewind overlays,
+ * then move to the previous slide.
  *
  * Overlays with `persistent: true` are rendered once at the start
  * and never removed (good for skip buttons, etc.).
@@ -645,6 +2015,10 @@ function createBaseMediaElement(base) {
  * For overlays without `autoAdvance`, `delay` (if present) is a
  * pre-show delay before the overlay appears after the click.
  *
+ * The flow starts at appState.overlayIndex when set (e.g. when the slide
+ * is re-entered from the following one); overlays reached by rewinding
+ * are shown immediately and do not auto-advance.
+ *
  * @param {HTMLElement} stageRoot
  * @param {HTMLElement} stageInner
  * @param {Array} overlays
@@ -674,44 +2048,34 @@ function renderSequentialOverlays(stageRoot, stageInner, overlays) {
       );
     }
 
-    // Default: visible immediately
-    let hasShowAt = typeof overlayDefinition.showAt === "number";
-    let hasHideAt = typeof overlayDefinition.hideAt === "number";
-
-    if (hasShowAt) {
-      overlayElement.style.visibility = "hidden";
-      const showTimerId = window.setTimeout(() => {
-        overlayElement.style.visibility = "";
-        overlayElement.classList.add("overlay-visible");
-        // Play audio when it actually appears
-        playOverlayAudio(overlayDefinition);
-      }, overlayDefinition.showAt);
-      registerTeardownHandler(() => window.clearTimeout(showTimerId));
-    } else {
-      // No showAt: visible immediately
-      overlayElement.classList.add("overlay-visible");
-      playOverlayAudio(overlayDefinition);
-    }
-
-    if (hasHideAt) {
-      const hideTimerId = window.setTimeout(() => {
-        overlayElement.style.visibility = "hidden";
-        overlayElement.classList.remove("overlay-visible");
-      }, overlayDefinition.hideAt);
-      registerTeardownHandler(() => window.clearTimeout(hideTimerId));
-    }
+    scheduleOverlayVisibility(overlayElement, overlayDefinition);
 
     stageInner.appendChild(overlayElement);
 
     if (overlayDefinition && overlayDefinition.action) {
-      wireOverlayAction(overlayElement, overlayDefinition.action);
+      wireOverlayAction(
+        overlayElement,
+        overlayDefinition.action,
+        overlayDefinition.target
+      );
     }
   });
 
   // If there are no sequential overlays, just let stage click advance slide.
   if (sequenceDefs.length === 0) {
     overlayAdvanceHandler = null;
+    overlayRetreatHandler = null;
     const stageClickHandler = () => {
+      // A click completes typing text first. Persistent quizzes and
+      // challenges are passed by answering or finding them; misses only
+      // show the challenge's hint.
+      if (
+        completeTypewriters() ||
+        slideHasUnansweredQuiz() ||
+        slideHasPendingChallenge()
+      ) {
+        return;
+      }
       moveToNextSlide();
     };
     stageRoot.addEventListener("click", stageClickHandler);
@@ -721,32 +2085,41 @@ function renderSequentialOverlays(stageRoot, stageInner, overlays) {
     return;
   }
 
-  let currentIndex = 0;
+  let currentIndex =
+    typeof appState.overlayIndex === "number"
+      ? Math.min(Math.max(appState.overlayIndex, 0), sequenceDefs.length - 1)
+      : 0;
   let currentElement = null;
+  let currentDefinition = null;
   let isWaiting = false;
   let showTimerId = null; // pre-show delay timer (non-autoAdvance)
   let autoTimerId = null; // post-show auto-advance timer (autoAdvance)
 
   const clearTimers = () => {
     if (showTimerId != null) {
-      window.clearTimeout(showTimerId);
+      cancelScheduledTimeout(showTimerId);
       showTimerId = null;
     }
     if (autoTimerId != null) {
-      window.clearTimeout(autoTimerId);
+      cancelScheduledTimeout(autoTimerId);
       autoTimerId = null;
     }
   };
 
-  const showOverlayNow = (index) => {
-    if (currentElement && currentElement.parentNode === stageInner) {
-      stageInner.removeChild(currentElement);
-    }
+  // Takes the shown overlay off the stage once its exit has played.
+  const removeCurrentElement = () => {
+    const element = currentElement;
+    currentElement = null;
+    if (!element || element.parentNode !== stageInner) return;
+    playOverlayTransition(element, currentDefinition?.exit, true, () => {
+      if (element.parentNode) element.parentNode.removeChild(element);
+    });
+  };
 
-    if (index < 0 || index >= sequenceDefs.length) {
-      currentElement = null;
-      return;
-    }
+  const showOverlayNow = (index, settled = false) => {
+    removeCurrentElement();
+
+    if (index < 0 || index >= sequenceDefs.length) return;
 
     const overlayDefinition = sequenceDefs[index];
     const overlayElement = createOverlayElement(overlayDefinition);
@@ -759,13 +2132,29 @@ function renderSequentialOverlays(stageRoot, stageInner, overlays) {
 
     stageInner.appendChild(overlayElement);
     currentElement = overlayElement;
+    currentDefinition = overlayDefinition;
     isWaiting = false;
 
     // Wire overlay click actions (e.g., next / skip)
     if (overlayDefinition && overlayDefinition.action) {
-      wireOverlayAction(overlayElement, overlayDefinition.action);
+      wireOverlayAction(
+        overlayElement,
+        overlayDefinition.action,
+        overlayDefinition.target
+      );
+    }
+
+    // Autoplay dwells on each overlay once it is actually on screen.
+    scheduleAutoplayStep();
+
+    // Settled overlays were already seen; don't replay their entrance,
+    // typing, audio or auto-advance.
+    if (settled) {
+      completeTypewriter(overlayElement);
+      return;
     }
 
+    playOverlayTransition(overlayElement, overlayDefinition.enter, false);
     // Play any audio tied to this overlay when it becomes visible
     playOverlayAudio(overlayDefinition);
 
@@ -779,22 +2168,25 @@ function renderSequentialOverlays(stageRoot, stageInner, overlays) {
         : 0;
 
     if (dwell > 0) {
-      autoTimerId = window.setTimeout(() => {
-        autoTimerId = null;
-        advance();
-      }, dwell);
+      autoTimerId = scheduleTimeout(
+        () => {
+          autoTimerId = null;
+          advance();
+        },
+        dwell,
+        `${describeOverlay(overlayDefinition)} autoAdvance`
+      );
     }
   };
 
-  const scheduleOverlay = (index) => {
+  // `elapsed` is slide time already passed, when the first overlay is
+  // shown on a slide started part-way through (see seekSlide).
+  const scheduleOverlay = (index, elapsed = 0) => {
     clearTimers();
 
     const def = sequenceDefs[index];
     if (!def) {
-      if (currentElement && currentElement.parentNode === stageInner) {
-        stageInner.removeChild(currentElement);
-      }
-      currentElement = null;
+      removeCurrentElement();
       return;
     }
 
@@ -808,41 +2200,82 @@ function renderSequentialOverlays(stageRoot, stageInner, overlays) {
     const delay =
       typeof def.delay === "number" && def.delay > 0 ? def.delay : 0;
 
-    if (delay > 0) {
-      if (currentElement && currentElement.parentNode === stageInner) {
-        stageInner.removeChild(currentElement);
-        currentElement = null;
-      }
+    if (delay > elapsed) {
+      removeCurrentElement();
       isWaiting = true;
-      showTimerId = window.setTimeout(() => {
-        showTimerId = null;
-        showOverlayNow(index);
-      }, delay);
+      showTimerId = scheduleTimeout(
+        () => {
+          showTimerId = null;
+          showOverlayNow(index);
+        },
+        delay - elapsed,
+        `${describeOverlay(def)} delay`
+      );
     } else {
-      showOverlayNow(index);
+      // Already due on a seeked slide: shown without its audio.
+      showOverlayNow(index, elapsed > 0);
     }
   };
 
   const advance = () => {
     if (isWaiting) return;
-
-    if (currentIndex < sequenceDefs.length - 1) {
+    // Quizzes and challenges are passed by answering them, not by
+    // clicking past them. Within the sequence only those on screen hold
+    // the flow, so later ones can still be reached.
+    const isLast = currentIndex >= sequenceDefs.length - 1;
+    const held = isLast
+      ? slideHasUnansweredQuiz() || slideHasPendingChallenge()
+      : isQuizUnanswered(currentDefinition) ||
+        persistentDefs.some(isQuizUnanswered) ||
+        isChallengePending();
+    if (held) return;
+
+    if (!isLast) {
       currentIndex += 1;
+      setOverlayIndex(currentIndex);
       scheduleOverlay(currentIndex);
     } else {
       overlayAdvanceHandler = null;
+      overlayRetreatHandler = null;
       goToNextSlideFromUserGesture();
     }
   };
 
-  // Expose to overlay buttons/hotspots with action="next"
+  const retreat = () => {
+    if (currentIndex > 0) {
+      // Rewinding also cancels a pending pre-show delay.
+      clearTimers();
+      currentIndex -= 1;
+      setOverlayIndex(currentIndex);
+      showOverlayNow(currentIndex, true);
+    } else {
+      overlayAdvanceHandler = null;
+      overlayRetreatHandler = null;
+      goToPreviousSlideFromUserGesture();
+    }
+  };
+
+  // Expose to overlay buttons/hotspots with action="next" / "back"
   overlayAdvanceHandler = advance;
+  overlayRetreatHandler = retreat;
+  overlaySequenceInspector = () => ({
+    index: currentIndex,
+    count: sequenceDefs.length,
+    waiting: isWaiting,
+  });
 
-  // Initial overlay: respect autoAdvance/delay semantics.
-  scheduleOverlay(currentIndex);
+  // Initial overlay: respect autoAdvance/delay semantics unless the
+  // slide is being re-entered at a later position.
+  appState.overlayIndex = currentIndex;
+  if (appState.finalState || currentIndex > 0) {
+    showOverlayNow(currentIndex, true);
+  } else {
+    scheduleOverlay(currentIndex, slideClock.offset);
+  }
 
-  // Stage click advances overlays/slide
+  // Stage click completes typing text, or advances overlays/slide
   const stageClickHandler = () => {
+    if (completeTypewriters()) return;
     advance();
   };
   stageRoot.addEventListener("click", stageClickHandler);
@@ -850,6 +2283,8 @@ function renderSequentialOverlays(stageRoot, stageInner, overlays) {
     stageRoot.removeEventListener("click", stageClickHandler);
     clearTimers();
     overlayAdvanceHandler = null;
+    overlayRetreatHandler = null;
+    overlaySequenceInspector = null;
   });
 }
 
@@ -877,28 +2312,194 @@ function renderOverlays(stageInner, overlays) {
       );
     }
 
-    if (typeof overlayDefinition.showAt === "number") {
+    scheduleOverlayVisibility(overlayElement, overlayDefinition);
+  });
+}
+
+/**
+ * Applies showAt/hideAt timing to an overlay element and plays its audio
+ * when it actually appears.
+ *
+ * When the slide is in its final state (re-entered by stepping back),
+ * the timeline is not replayed: the overlay is shown or hidden as it
+ * would be once all of its timers had fired, without audio. A slide
+ * started part-way through (see seekSlide) shows the overlay as it would
+ * be at that time, and times are counted from there.
+ *
+ * @param {HTMLElement} overlayElement
+ * @param {Object} overlayDefinition
+ */
+function scheduleOverlayVisibility(overlayElement, overlayDefinition) {
+  const hasShowAt = typeof overlayDefinition.showAt === "number";
+  const hasHideAt = typeof overlayDefinition.hideAt === "number";
+  const startAt = slideClock.offset;
+
+  if (appState.finalState) {
+    if (hasHideAt) {
       overlayElement.style.visibility = "hidden";
-      const showTimerId = window.setTimeout(() => {
+    } else {
+      overlayElement.classList.add("overlay-visible");
+    }
+    return;
+  }
+
+  if (hasHideAt && startAt > 0 && overlayDefinition.hideAt <= startAt) {
+    overlayElement.style.visibility = "hidden";
+    return;
+  }
+
+  if (hasShowAt && overlayDefinition.showAt >= startAt) {
+    overlayElement.style.visibility = "hidden";
+    const showTimerId = scheduleTimeout(
+      () => {
         overlayElement.style.visibility = "";
         overlayElement.classList.add("overlay-visible");
+        playOverlayTransition(overlayElement, overlayDefinition.enter, false);
         // Play audio when the overlay actually appears
         playOverlayAudio(overlayDefinition);
-      }, overlayDefinition.showAt);
-      registerTeardownHandler(() => window.clearTimeout(showTimerId));
-    } else {
-      // No showAt: overlay is visible immediately, so play audio now
+      },
+      overlayDefinition.showAt - startAt,
+      `${describeOverlay(overlayDefinition)} showAt`
+    );
+    registerTeardownHandler(() => cancelScheduledTimeout(showTimerId));
+  } else {
+    // Already due: visible immediately, with its entrance and audio only
+    // at the start
+    overlayElement.classList.add("overlay-visible");
+    if (startAt === 0) {
+      playOverlayTransition(overlayElement, overlayDefinition.enter, false);
       playOverlayAudio(overlayDefinition);
     }
+  }
 
-    if (typeof overlayDefinition.hideAt === "number") {
-      const hideTimerId = window.setTimeout(() => {
-        overlayElement.style.visibility = "hidden";
-        overlayElement.classList.remove("overlay-visible");
-      }, overlayDefinition.hideAt);
-      registerTeardownHandler(() => window.clearTimeout(hideTimerId));
-    }
+  if (hasHideAt) {
+    const hideTimerId = scheduleTimeout(
+      () =>
+        playOverlayTransition(
+          overlayElement,
+          overlayDefinition.exit,
+          true,
+          () => {
+            overlayElement.style.visibility = "hidden";
+            overlayElement.classList.remove("overlay-visible");
+          }
+        ),
+      overlayDefinition.hideAt - startAt,
+      `${describeOverlay(overlayDefinition)} hideAt`
+    );
+    registerTeardownHandler(() => cancelScheduledTimeout(hideTimerId));
+  }
+}
+
+/**
+ * Keyframes (css/style.css) and default length in ms of each overlay
+ * `enter`/`exit` type. Exits play the same keyframes in reverse.
+ */
+const OVERLAY_TRANSITIONS = {
+  fade: { keyframes: "fadeIn", duration: 420 },
+  pop: { keyframes: "popIn", duration: 280 },
+};
+
+// Pending end of each element's running transition, so a new one (an
+// exit cutting an enter short) replaces it.
+const overlayTransitionTimers = new WeakMap();
+
+/**
+ * Plays an overlay's `enter` or `exit` transition. With `stagger`, the
+ * overlay's top-level children (e.g. the paragraphs of an html overlay)
+ * animate one after another, that many ms apart; exits run them in reverse
+ * order. An exiting overlay no longer takes clicks.
+ *
+ * @param {HTMLElement} element
+ * @param {Object} [transition] the overlay's `enter` or `exit`
+ * @param {boolean} exiting
+ * @param {Function} [onDone] called once the transition has finished, or
+ *   straight away when there is none
+ */
+function playOverlayTransition(element, transition, exiting, onDone) {
+  cancelScheduledTimeout(overlayTransitionTimers.get(element));
+  const preset = OVERLAY_TRANSITIONS[transition?.type];
+  if (!preset) {
+    if (onDone) onDone();
+    return;
+  }
+
+  const duration =
+    typeof transition.duration === "number"
+      ? transition.duration
+      : preset.duration;
+  const easing = transition.easing || "ease-out";
+  const stagger = transition.stagger > 0 ? transition.stagger : 0;
+  const parts =
+    stagger > 0 && element.children.length > 0
+      ? [...element.children]
+      : [element];
+  if (exiting) {
+    parts.reverse();
+    element.style.pointerEvents = "none";
+  }
+
+  parts.forEach((part, index) => {
+    part.classList.add("overlay-transition");
+    part.style.animation = `${preset.keyframes} ${duration}ms ${easing} ${
+      index * stagger
+    }ms both${exiting ? " reverse" : ""}`;
   });
+
+  // A scheduled timeout rather than animationend, which never fires when
+  // motion is reduced. It waits while the experience is paused, and is
+  // dropped with the slide.
+  const timerId = scheduleTimeout(
+    () => {
+      overlayTransitionTimers.delete(element);
+      if (onDone) onDone();
+      // Hand animation back to the overlay's own classList (e.g. "float").
+      parts.forEach((part) => {
+        part.classList.remove("overlay-transition");
+        part.style.animation = "";
+      });
+    },
+    duration + (parts.length - 1) * stagger,
+    `overlay ${exiting ? "exit" : "enter"}`
+  );
+  overlayTransitionTimers.set(element, timerId);
+  registerTeardownHandler(() => cancelScheduledTimeout(timerId));
+}
+
+/**
+ * Keeps the previous slide's content on top of the new one and fades it
+ * out, when the new slide has `"transition": {"type": "crossfade"}`.
+ *
+ * @param {HTMLElement} stageInner
+ * @param {Node[]} outgoing the previous slide's nodes, already removed
+ * @param {Object} [transition] the new slide's `transition`
+ */
+function crossFadeFromPreviousSlide(stageInner, outgoing, transition) {
+  if (transition?.type !== "crossfade") return;
+  // Only the slide itself fades, not the progress indicator. The new base
+  // video may be the same element, already back on stage.
+  const nodes = outgoing.filter(
+    (node) =>
+      node.matches?.(".stage-media, .stage-media-fallback, .overlay") &&
+      !stageInner.contains(node)
+  );
+  if (nodes.length === 0) return;
+
+  const leaving = document.createElement("div");
+  leaving.className = "stage-leaving";
+  leaving.setAttribute("aria-hidden", "true");
+  nodes.forEach((node) => leaving.appendChild(node));
+  const duration =
+    typeof transition.duration === "number" ? transition.duration : 400;
+  leaving.style.animationDuration = `${duration}ms`;
+  if (transition.easing) {
+    leaving.style.animationTimingFunction = transition.easing;
+  }
+  stageInner.appendChild(leaving);
+
+  window.setTimeout(() => {
+    if (leaving.parentNode) leaving.parentNode.removeChild(leaving);
+  }, duration);
 }
 
 /**
@@ -928,7 +2529,9 @@ function createOverlayElement(overlayDefinition) {
       if (anchor) {
         // Let the browser follow the link, but don't advance slide.
         event.stopPropagation();
-        // NOTE: no preventDefault(), so navigation still happens.
+        // NOTE: no preventDefault(), so navigation still happens,
+        // except in kiosk mode where visitors must not leave the app.
+        if (appState.kiosk && isExternalLink(anchor)) event.preventDefault();
       }
     };
 
@@ -937,6 +2540,10 @@ function createOverlayElement(overlayDefinition) {
       wrapper.removeEventListener("click", clickHandler);
     });
 
+    wireDeclarativeActions(wrapper);
+    if (overlayDefinition.typewriter) {
+      startTypewriter(wrapper, overlayDefinition);
+    }
     return wrapper;
   }
 
@@ -944,6 +2551,10 @@ function createOverlayElement(overlayDefinition) {
     const text = document.createElement("div");
     text.innerHTML = overlayDefinition.html || "";
     wrapper.appendChild(text);
+    wireDeclarativeActions(wrapper);
+    if (overlayDefinition.typewriter) {
+      startTypewriter(wrapper, overlayDefinition);
+    }
     return wrapper;
   }
 
@@ -983,7 +2594,7 @@ function createOverlayElement(overlayDefinition) {
     playButton.className = "overlay-video-play";
     playButton.setAttribute(
       "aria-label",
-      overlayDefinition.playLabel || "Play video"
+      overlayDefinition.playLabel || translate("ui.playVideo")
     );
     wrapper.appendChild(playButton);
 
@@ -1004,59 +2615,324 @@ function createOverlayElement(overlayDefinition) {
     });
 
     if (overlayDefinition.autoplay) {
-      const playPromise = video.play();
-      if (playPromise && typeof playPromise.catch === "function") {
-        playPromise.catch(() => {});
-      }
+      playVideoMutedIfBlocked(video);
       playButton.style.display = "none";
     }
 
     return wrapper;
   }
 
+  if (type === "sprite") {
+    wrapper.appendChild(createSpriteCanvas(overlayDefinition));
+    return wrapper;
+  }
+
+  if (type === "quiz") {
+    buildQuizOverlay(wrapper, overlayDefinition);
+    return wrapper;
+  }
+
+  if (type === "score") {
+    buildScoreOverlay(wrapper, overlayDefinition);
+    return wrapper;
+  }
+
+  if (type === "hotspot" && overlayDefinition.challenge) {
+    wireHotspotChallenge(wrapper, overlayDefinition);
+    return wrapper;
+  }
+
   // Default (button/hotspot etc. wrappers are positioned here)
   return wrapper;
 }
 
+// Sprite overlays with `playOnce` that have played through, by
+// "pathIndex/slideIndex/overlayIndex". Shown again, they rest on their
+// last frame.
+const playedSpriteOverlays = new Set();
+
 /**
- * Wires an interactive overlay action.
- * Clicks on overlays stop propagation to prevent the stage click handler from also firing.
- *
- * Supported actions:
- * - "next": advance overlay sequence if active, otherwise advance slide.
- * - "skip": always advance slide immediately.
+ * Creates the canvas a sprite overlay plays on. The `src` sheet holds
+ * `frames` frames of `frameWidth` x `frameHeight` px, left to right and
+ * then top to bottom, `columns` to a row (all in one row unless set).
+ * Frames advance at `fps` with requestAnimationFrame, only while the
+ * overlay is visible and the experience is not paused. Viewers who prefer
+ * reduced motion see a single frame.
  *
- * @param {HTMLElement} element
- * @param {string} action
+ * @param {Object} overlayDefinition
+ * @returns {HTMLCanvasElement}
  */
-function wireOverlayAction(element, action) {
-  if (action === "skip") {
-    const handler = (event) => {
-      event.preventDefault();
-      event.stopPropagation();
-      goToNextSlideFromUserGesture(); // always skip entire slide
-    };
-    element.addEventListener("click", handler);
-    registerTeardownHandler(() =>
-      element.removeEventListener("click", handler)
-    );
-  } else if (action === "next") {
-    const handler = (event) => {
-      event.preventDefault();
-      event.stopPropagation();
-      if (typeof overlayAdvanceHandler === "function") {
-        // In a sequential overlay flow, step overlays instead of immediately changing slide
-        overlayAdvanceHandler();
-      } else {
-        goToNextSlideFromUserGesture();
-      }
-    };
-    element.addEventListener("click", handler);
-    registerTeardownHandler(() =>
-      element.removeEventListener("click", handler)
+function createSpriteCanvas(overlayDefinition) {
+  const frameWidth = overlayDefinition.frameWidth || 1;
+  const frameHeight = overlayDefinition.frameHeight || 1;
+  const frameCount = Math.max(Math.floor(overlayDefinition.frames) || 1, 1);
+  const columns =
+    overlayDefinition.columns >= 1
+      ? Math.floor(overlayDefinition.columns)
+      : frameCount;
+  const frameDuration =
+    1000 / (overlayDefinition.fps > 0 ? overlayDefinition.fps : 12);
+
+  const canvas = document.createElement("canvas");
+  canvas.className = "sprite";
+  canvas.width = frameWidth;
+  canvas.height = frameHeight;
+  if (overlayDefinition.alt) {
+    canvas.setAttribute("role", "img");
+    canvas.setAttribute("aria-label", overlayDefinition.alt);
+  } else {
+    canvas.setAttribute("aria-hidden", "true");
+  }
+  const context = canvas.getContext("2d");
+  const sheet = new Image();
+  sheet.src = overlayDefinition.src || "";
+
+  const { intro, loop } = buildSpriteFrames(overlayDefinition, frameCount);
+  const lastFrame = intro.length > 0 ? intro[intro.length - 1] : loop[0];
+  const key = getSpriteOverlayKey(overlayDefinition);
+  let drawnFrame = null;
+
+  const drawFrame = (frame) => {
+    if (!context || !sheet.complete || sheet.naturalWidth === 0) return;
+    if (frame === drawnFrame) return;
+    drawnFrame = frame;
+    context.clearRect(0, 0, frameWidth, frameHeight);
+    context.drawImage(
+      sheet,
+      (frame % columns) * frameWidth,
+      Math.floor(frame / columns) * frameHeight,
+      frameWidth,
+      frameHeight,
+      0,
+      0,
+      frameWidth,
+      frameHeight
     );
+  };
+
+  // Already seen to the end (stepping back, or `playOnce`), or no motion
+  // wanted: one still frame.
+  const settled =
+    loop.length === 0 && (appState.finalState || playedSpriteOverlays.has(key));
+  const reducedMotion = window.matchMedia?.(
+    "(prefers-reduced-motion: reduce)"
+  ).matches;
+  if (settled || reducedMotion) {
+    if (sheet.complete) drawFrame(lastFrame);
+    else sheet.addEventListener("load", () => drawFrame(lastFrame));
+    return canvas;
   }
-}
+
+  let playTime = 0;
+  let lastTimestamp = null;
+  let requestId = null;
+  const step = (timestamp) => {
+    requestId = null;
+    // Taken off the stage (e.g. the next sequential overlay).
+    if (!canvas.isConnected) return;
+
+    const hidden = canvas.parentNode?.style.visibility === "hidden";
+    if (lastTimestamp !== null && !appState.paused && !hidden) {
+      // Capped so a backgrounded tab doesn't skip ahead on return.
+      playTime += Math.min(timestamp - lastTimestamp, 100);
+    }
+    lastTimestamp = timestamp;
+
+    const position = Math.floor(playTime / frameDuration);
+    if (position < intro.length) {
+      drawFrame(intro[position]);
+    } else if (loop.length > 0) {
+      drawFrame(loop[(position - intro.length) % loop.length]);
+    } else {
+      drawFrame(lastFrame);
+      if (overlayDefinition.playOnce === true) playedSpriteOverlays.add(key);
+      return;
+    }
+    requestId = window.requestAnimationFrame(step);
+  };
+  requestId = window.requestAnimationFrame(step);
+  registerTeardownHandler(() => {
+    if (requestId !== null) window.cancelAnimationFrame(requestId);
+  });
+
+  return canvas;
+}
+
+/**
+ * Lists the frames a sprite plays. `segments` (default: every frame once)
+ * are played in order, each `repeat` times (once unless set); `from` and
+ * `to` are frame numbers counting from 0, and `to` below `from` plays
+ * backwards. A segment with `loop: true` repeats for as long as the
+ * overlay shows, so later segments never play. Otherwise the whole
+ * sequence starts again unless `loop` is false or `playOnce` is set.
+ *
+ * @param {Object} overlayDefinition
+ * @param {number} frameCount
+ * @returns {{intro: number[], loop: number[]}} frames played once, then
+ *   frames repeated (empty when the sprite stops on its last frame)
+ */
+function buildSpriteFrames(overlayDefinition, frameCount) {
+  const clampFrame = (value, fallback) =>
+    Math.min(
+      Math.max(Number.isInteger(value) ? value : fallback, 0),
+      frameCount - 1
+    );
+  const segments =
+    Array.isArray(overlayDefinition.segments) &&
+    overlayDefinition.segments.length > 0
+      ? overlayDefinition.segments
+      : [{}];
+
+  const intro = [];
+  for (const segment of segments) {
+    const from = clampFrame(segment?.from, 0);
+    const to = clampFrame(segment?.to, frameCount - 1);
+    const direction = to >= from ? 1 : -1;
+    const frames = [];
+    for (let frame = from; frame !== to + direction; frame += direction) {
+      frames.push(frame);
+    }
+    if (segment?.loop === true) return { intro, loop: frames };
+
+    const repeat = segment?.repeat >= 1 ? Math.floor(segment.repeat) : 1;
+    for (let i = 0; i < repeat; i += 1) intro.push(...frames);
+  }
+
+  const loops =
+    overlayDefinition.loop !== false && overlayDefinition.playOnce !== true;
+  return loops ? { intro: [], loop: intro } : { intro, loop: [] };
+}
+
+/**
+ * @param {Object} overlayDefinition an overlay of the current slide
+ * @returns {string} "pathIndex/slideIndex/overlayIndex"
+ */
+function getSpriteOverlayKey(overlayDefinition) {
+  const slide =
+    getPathsConfig()[appState.pathIndex]?.slides?.[appState.slideIndex];
+  const index = (slide?.overlays || []).indexOf(overlayDefinition);
+  return `${appState.pathIndex}/${appState.slideIndex}/${index}`;
+}
+
+/**
+ * Actions an overlay can trigger when clicked.
+ */
+const OVERLAY_ACTIONS = [
+  "next",
+  "back",
+  "skip",
+  "goto",
+  "path",
+  "restart",
+  "splash",
+];
+
+/**
+ * Wires an interactive overlay action.
+ * Clicks on overlays stop propagation to prevent the stage click handler from also firing.
+ *
+ * @param {HTMLElement} element
+ * @param {string} action see runOverlayAction
+ * @param {string} [target] slide reference for "goto"
+ */
+function wireOverlayAction(element, action, target) {
+  if (!OVERLAY_ACTIONS.includes(action)) return;
+
+  const handler = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    runOverlayAction(action, target);
+  };
+  element.addEventListener("click", handler);
+  registerTeardownHandler(() => element.removeEventListener("click", handler));
+}
+
+/**
+ * Runs an overlay action.
+ *
+ * Supported actions:
+ * - "next": advance overlay sequence if active, otherwise advance slide.
+ * - "back": rewind overlay sequence if active, otherwise go to previous slide.
+ * - "skip": always advance slide immediately.
+ * - "goto": jump to the slide referenced by `target` (see resolveSlideTarget).
+ * - "path": start the path referenced by `target` (id or title) from the top.
+ * - "restart": start the current path again from its first slide.
+ * - "splash": return to the splash screen.
+ *
+ * @param {string} action
+ * @param {string} [target]
+ */
+function runOverlayAction(action, target) {
+  if (action === "skip") {
+    goToNextSlideFromUserGesture(); // always skip entire slide
+  } else if (action === "next") {
+    if (typeof overlayAdvanceHandler === "function") {
+      // In a sequential overlay flow, step overlays instead of immediately changing slide
+      overlayAdvanceHandler();
+    } else {
+      goToNextSlideFromUserGesture();
+    }
+  } else if (action === "back") {
+    stepBackFromUserGesture();
+  } else if (action === "goto") {
+    const position = resolveSlideTarget(target);
+    if (!position) {
+      console.warn(`Overlay "goto" target not found: ${target}`);
+      return;
+    }
+    goToSlideFromUserGesture(position.pathIndex, position.slideIndex);
+  } else if (action === "path") {
+    const pathIndex = findPathIndex(target);
+    if (pathIndex < 0) {
+      console.warn(`Overlay "path" target not found: ${target}`);
+      return;
+    }
+    selectPath(pathIndex);
+  } else if (action === "restart") {
+    if (typeof appState.pathIndex === "number") selectPath(appState.pathIndex);
+  } else if (action === "splash") {
+    returnToSplash();
+  }
+}
+
+/**
+ * Dispatches actions declared inside html/text overlay markup, e.g.
+ * <button data-action="path" data-target="meal">Try Meal next</button>.
+ * Any element with a data-action attribute becomes clickable and runs
+ * the same actions as an overlay's `action` field.
+ *
+ * @param {HTMLElement} wrapper
+ */
+function wireDeclarativeActions(wrapper) {
+  const handler = (event) => {
+    const trigger = event.target.closest("[data-action]");
+    if (!trigger || !wrapper.contains(trigger)) return;
+
+    const action = trigger.getAttribute("data-action");
+    if (!OVERLAY_ACTIONS.includes(action)) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    runOverlayAction(action, trigger.getAttribute("data-target") || undefined);
+  };
+
+  wrapper.addEventListener("click", handler);
+  registerTeardownHandler(() => wrapper.removeEventListener("click", handler));
+}
+
+/**
+ * Names an overlay of the current slide for diagnostics, numbered by its
+ * place in the slide's `overlays` list, e.g. "overlay 3 (image)".
+ *
+ * @param {Object} overlayDefinition
+ * @returns {string}
+ */
+function describeOverlay(overlayDefinition) {
+  const slide =
+    getPathsConfig()[appState.pathIndex]?.slides?.[appState.slideIndex];
+  const index = slide?.overlays?.indexOf(overlayDefinition) ?? -1;
+  return `overlay ${index + 1} (${overlayDefinition?.type})`;
+}
 
 /**
  * Applies percentage-based position and size to an overlay wrapper so it scales with the stage.
@@ -1077,7 +2953,8 @@ function applyOverlayBox(element, overlayDefinition) {
 }
 
 /**
- * Returns true if the slide defines any interactive overlay (button or hotspot).
+ * Returns true if the slide defines any interactive overlay (button,
+ * hotspot, quiz, or anything with an action).
  *
  * @param {Object} slide
  * @returns {boolean}
@@ -1089,8 +2966,8 @@ function slideHasInteractiveOverlay(slide) {
           o &&
           (o.type === "button" ||
             o.type === "hotspot" ||
-            o.action === "next" ||
-            o.action === "skip")
+            o.type === "quiz" ||
+            OVERLAY_ACTIONS.includes(o.action))
       )
     : false;
 }
@@ -1110,6 +2987,36 @@ function shouldStageAdvanceOnClick(slide) {
   return true;
 }
 
+/**
+ * Returns true if the slide steps through its overlays one click at a time.
+ *
+ * @param {Object} slide
+ * @returns {boolean}
+ */
+function slideUsesSequentialOverlays(slide) {
+  return (
+    slide?.sequential !== false &&
+    Array.isArray(slide?.overlays) &&
+    slide.overlays.length > 0 &&
+    slide.advance === "click"
+  );
+}
+
+/**
+ * Returns the overlays that take part in a slide's sequential flow
+ * (non-sound, non-persistent), in display order. Empty when the slide
+ * does not use sequential overlays.
+ *
+ * @param {Object} slide
+ * @returns {Array}
+ */
+function getSequentialOverlayDefinitions(slide) {
+  if (!slideUsesSequentialOverlays(slide)) return [];
+  return slide.overlays.filter(
+    (o) => o && o.type !== "sound" && o.persistent !== true
+  );
+}
+
 /**
  * Preloads the next slide's base media to reduce perceived latency when advancing.
  */
@@ -1148,7 +3055,7 @@ function preloadOverlayImagesForSlide(slide) {
   if (!slide || !Array.isArray(slide.overlays)) return;
 
   slide.overlays.forEach((overlay) => {
-    if (overlay && overlay.type === "image" && overlay.src) {
+    if (overlay && ["image", "sprite"].includes(overlay.type) && overlay.src) {
       const img = new Image();
       img.src = overlay.src;
     }
@@ -1184,6 +3091,11 @@ function preloadOverlayAudioForSlide(slide) {
         }
       });
     }
+
+    // Typing sound of a typewriter text overlay
+    if (overlay.typewriter?.sound) {
+      getOrCreateSoundAudio(overlay.typewriter.sound);
+    }
   });
 }
 
@@ -1232,6 +3144,8 @@ function playOverlayAudio(overlayDefinition) {
 /**
  * Schedules a sound-only overlay to play its audio
  * after an optional delay. No DOM, no click impact.
+ * On a slide started part-way through (see seekSlide), cues already
+ * passed are skipped.
  *
  * @param {Object} overlayDefinition
  */
@@ -1242,12 +3156,18 @@ function scheduleSoundOverlay(overlayDefinition) {
     typeof overlayDefinition.delay === "number" && overlayDefinition.delay > 0
       ? overlayDefinition.delay
       : 0;
+  const startAt = slideClock.offset;
+  if (startAt > 0 && delay < startAt) return;
 
-  if (delay > 0) {
-    const timerId = window.setTimeout(() => {
-      playOverlayAudio(overlayDefinition);
-    }, delay);
-    registerTeardownHandler(() => window.clearTimeout(timerId));
+  if (delay - startAt > 0) {
+    const timerId = scheduleTimeout(
+      () => {
+        playOverlayAudio(overlayDefinition);
+      },
+      delay - startAt,
+      `${describeOverlay(overlayDefinition)} sound`
+    );
+    registerTeardownHandler(() => cancelScheduledTimeout(timerId));
   } else {
     playOverlayAudio(overlayDefinition);
   }
@@ -1299,7 +3219,7 @@ function getOrCreatePreloadedVideo(base) {
     video.muted = !appState.soundEnabled;
     video.autoplay = false;
     video.controls = base.controls === true;
-    video.setAttribute("aria-label", base.caption || "Video");
+    video.setAttribute("aria-label", base.caption || translate("ui.video"));
 
     // Park it safely offscreen while it buffers.
     video.style.position = "absolute";
@@ -1318,7 +3238,7 @@ function getOrCreatePreloadedVideo(base) {
   // Keep properties up to date per slide use.
   video.muted = !appState.soundEnabled;
   video.controls = base.controls === true;
-  video.setAttribute("aria-label", base.caption || "Video");
+  video.setAttribute("aria-label", base.caption || translate("ui.video"));
   if (base.poster) video.poster = base.poster;
 
   activeVideoElements.add(video);
@@ -1632,36 +3552,785 @@ function stopSound(target) {
   activeSoundElements.delete(audio);
 }
 
+/**
+ * Reads persisted progress from localStorage:
+ *   { soundEnabled, paths: { [pathSlug]: { slideIndex, overlayIndex, completed, answers } } }
+ * Storage may be unavailable (private browsing, file://); an empty
+ * record is returned in that case.
+ *
+ * @returns {Object}
+ */
+function loadSavedProgress() {
+  try {
+    const raw = window.localStorage.getItem(APP_CONSTANTS.progressStorageKey);
+    const data = raw ? JSON.parse(raw) : null;
+    return data && typeof data === "object" ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Writes the persisted progress record. Failures are ignored so that
+ * the experience still runs where storage is blocked or full.
+ *
+ * @param {Object} data
+ */
+function saveSavedProgress(data) {
+  try {
+    window.localStorage.setItem(
+      APP_CONSTANTS.progressStorageKey,
+      JSON.stringify(data)
+    );
+  } catch {
+    // Persistence is best-effort.
+  }
+}
+
+/**
+ * Returns the saved progress entry for a path, keyed by its slug so it
+ * survives paths being reordered in slides.json.
+ *
+ * @param {number} pathIndex
+ * @returns {Object|null}
+ */
+function getSavedPathProgress(pathIndex) {
+  const pathDefinition = getPathsConfig()[pathIndex];
+  if (!pathDefinition) return null;
+  const entry =
+    loadSavedProgress().paths?.[getPathSlug(pathDefinition, pathIndex)];
+  return entry && typeof entry === "object" ? entry : null;
+}
+
+/**
+ * True when a path was left part-way through: past its first slide and
+ * before its last.
+ *
+ * @param {number} pathIndex
+ * @param {Object|null} saved
+ * @returns {boolean}
+ */
+function isResumable(pathIndex, saved) {
+  const slides = getPathsConfig()[pathIndex]?.slides || [];
+  return (
+    !!saved &&
+    typeof saved.slideIndex === "number" &&
+    saved.slideIndex > 0 &&
+    saved.slideIndex < slides.length - 1
+  );
+}
+
+/**
+ * Saves the current position for the running path. Reaching the last
+ * slide marks the path as completed; the flag is kept on later replays.
+ * Nothing is saved in kiosk mode, where visitors are anonymous.
+ */
+function recordPathProgress() {
+  if (appState.mode !== "RUNNING" || appState.kiosk) return;
+
+  const pathDefinition = getPathsConfig()[appState.pathIndex];
+  if (!pathDefinition) return;
+
+  const data = loadSavedProgress();
+  const slug = getPathSlug(pathDefinition, appState.pathIndex);
+  const paths = data.paths && typeof data.paths === "object" ? data.paths : {};
+  const previous = paths[slug] || {};
+  const isLastSlide = appState.slideIndex >= pathDefinition.slides.length - 1;
+
+  paths[slug] = {
+    ...previous,
+    slideIndex: appState.slideIndex,
+    overlayIndex: appState.overlayIndex,
+    completed: previous.completed === true || isLastSlide,
+  };
+  data.paths = paths;
+  saveSavedProgress(data);
+}
+
+/**
+ * Applies the saved audio on/off preference before the toggle is created.
+ */
+function restoreAudioPreference() {
+  const { soundEnabled } = loadSavedProgress();
+  if (typeof soundEnabled !== "boolean") return;
+  appState.soundEnabled = soundEnabled;
+  appState.musicEnabled = soundEnabled;
+}
+
+/**
+ * Persists the unified audio on/off preference.
+ */
+function saveAudioPreference() {
+  const data = loadSavedProgress();
+  data.soundEnabled = appState.soundEnabled;
+  saveSavedProgress(data);
+}
+
+// Configuration before localization, kept so the language can change.
+let unlocalizedConfig = null;
+
+/**
+ * Picks the content language: `?lang=` first, then the viewer's saved
+ * choice, then the browser's preferred languages, then `defaultLocale`.
+ * Only locales listed in the configuration's `locales` are chosen.
+ *
+ * @param {Object} config
+ * @returns {string}
+ */
+function resolveLocale(config) {
+  const available = Object.keys(config?.locales || {});
+  const candidates = [
+    new URLSearchParams(window.location.search).get(
+      APP_CONSTANTS.languageParam
+    ),
+    loadSavedProgress().locale,
+    ...(navigator.languages || [navigator.language]),
+  ];
+
+  for (const candidate of candidates) {
+    const match = matchLocale(candidate, available);
+    if (match) return match;
+  }
+  return getDefaultLocale(config);
+}
+
+/**
+ * Matches a language tag against the available locales, exactly or by
+ * its primary language ("ja-JP" matches "ja"), ignoring case.
+ *
+ * @param {string|null|undefined} candidate
+ * @param {string[]} available
+ * @returns {string|null}
+ */
+function matchLocale(candidate, available) {
+  if (typeof candidate !== "string" || !candidate) return null;
+  const wanted = candidate.toLowerCase();
+  const primary = wanted.split("-")[0];
+  return (
+    available.find((locale) => locale.toLowerCase() === wanted) ||
+    available.find((locale) => locale.toLowerCase() === primary) ||
+    null
+  );
+}
+
+/**
+ * Returns interface text for the active locale, falling back to the
+ * default locale's table and then to the built-in UI_STRINGS.
+ * `{{name}}` placeholders are replaced from `params`.
+ *
+ * @param {string} key e.g. "ui.loading"
+ * @param {Object} [params]
+ * @returns {string}
+ */
+function translate(key, params = {}) {
+  const config = unlocalizedConfig || appState.config;
+  const tables = [
+    getLocaleStrings(config, appState.locale),
+    getLocaleStrings(config, getDefaultLocale(config)),
+    UI_STRINGS,
+  ];
+  const table = tables.find((strings) => typeof strings[key] === "string");
+  const text = table ? table[key] : key;
+  return text.replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+    name in params ? String(params[name]) : placeholder
+  );
+}
+
+/**
+ * Applies the active locale to the page shell: the document language and
+ * any element marked with `data-i18n` (text), `data-i18n-alt` or
+ * `data-i18n-aria-label` naming a string key.
+ */
+function applyDocumentStrings() {
+  if (appState.locale) document.documentElement.lang = appState.locale;
+
+  document.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = translate(el.dataset.i18n);
+  });
+  document.querySelectorAll("[data-i18n-alt]").forEach((el) => {
+    el.alt = translate(el.dataset.i18nAlt);
+  });
+  document.querySelectorAll("[data-i18n-aria-label]").forEach((el) => {
+    el.setAttribute("aria-label", translate(el.dataset.i18nAriaLabel));
+  });
+}
+
+/**
+ * Shows a language picker in the splash header when the content offers
+ * more than one locale. Options are labelled with each locale's `label`.
+ */
+function renderLanguagePicker() {
+  const header = getSplashRoot().querySelector(".splash-header");
+  if (!header) return;
+
+  const locales = unlocalizedConfig?.locales || {};
+  const codes = Object.keys(locales);
+  let picker = header.querySelector(".language-picker");
+  if (codes.length < 2) {
+    if (picker) picker.remove();
+    return;
+  }
+
+  if (!picker) {
+    picker = document.createElement("label");
+    picker.className = "language-picker";
+    const caption = document.createElement("span");
+    caption.className = "language-picker-label";
+    caption.dataset.i18n = "ui.language";
+    const select = document.createElement("select");
+    select.addEventListener("change", () => setLocale(select.value));
+    picker.appendChild(caption);
+    picker.appendChild(select);
+    header.appendChild(picker);
+  }
+
+  const select = picker.querySelector("select");
+  clearElement(select);
+  codes.forEach((code) => {
+    const option = document.createElement("option");
+    option.value = code;
+    option.textContent = locales[code]?.label || code;
+    select.appendChild(option);
+  });
+  select.value = appState.locale;
+  picker.querySelector(".language-picker-label").textContent =
+    translate("ui.language");
+}
+
+/**
+ * Switches the content language, re-localizing the configuration and
+ * re-rendering in place. The choice is remembered for the next visit, and
+ * an explicit `?lang=` in the address is updated to match.
+ *
+ * @param {string} locale
+ */
+function setLocale(locale) {
+  if (!unlocalizedConfig || locale === appState.locale) return;
+
+  const params = new URLSearchParams(window.location.search);
+  if (params.has(APP_CONSTANTS.languageParam)) {
+    params.set(APP_CONSTANTS.languageParam, locale);
+    try {
+      window.history.replaceState(
+        window.history.state,
+        "",
+        `${window.location.pathname}?${params}${window.location.hash}`
+      );
+    } catch {
+      // History is a convenience; the app works without it.
+    }
+  }
+
+  const data = loadSavedProgress();
+  data.locale = locale;
+  saveSavedProgress(data);
+
+  appState.locale = locale;
+  applyDocumentStrings();
+  const { config } = localizeContent(unlocalizedConfig, locale);
+  personalizeContent(config, resolveContentVariables(unlocalizedConfig));
+  setState({ config }, { replaceHistory: true });
+}
+
+/**
+ * Returns the values for `{{name}}` tokens in the content: the defaults
+ * in the configuration's `variables`, overridden by query parameters of
+ * the same name (e.g. `?company=Acme&contact=Dana`). Only variables the
+ * configuration declares can be overridden, and never by the app's own
+ * switches such as `?lang` or `?edit`.
+ *
+ * @param {Object} config
+ * @returns {Object<string, string>}
+ */
+function resolveContentVariables(config) {
+  const values = {};
+  Object.entries(config?.variables || {}).forEach(([name, value]) => {
+    if (typeof value === "string") values[name] = value;
+  });
+  const appParams = Object.entries(APP_CONSTANTS)
+    .filter(([key]) => key.endsWith("Param"))
+    .map(([, name]) => name);
+  new URLSearchParams(window.location.search).forEach((value, name) => {
+    if (!value || appParams.includes(name)) return;
+    if (Object.prototype.hasOwnProperty.call(values, name)) {
+      values[name] = value;
+    }
+  });
+  return values;
+}
+
+/**
+ * Kiosk defaults, overridable via the `kiosk` object in slides.json.
+ */
+const KIOSK_DEFAULTS = {
+  idleTimeout: 60000, // ms without interaction before returning to splash
+  attractInterval: 2500, // ms between path card highlights while idle
+  attractVideo: null, // optional looping video shown over the idle splash
+};
+
+/**
+ * Resolves kiosk options. Kiosk mode is on when the URL has `?kiosk`
+ * (`?kiosk=0` turns it off) or slides.json sets `kiosk.enabled`.
+ *
+ * @param {Object} config
+ * @returns {Object|null} options, or null when not in kiosk mode
+ */
+function resolveKioskOptions(config) {
+  const configOptions =
+    config?.kiosk && typeof config.kiosk === "object" ? config.kiosk : {};
+  const params = new URLSearchParams(window.location.search);
+
+  const enabled = params.has(APP_CONSTANTS.kioskParam)
+    ? !["0", "false"].includes(params.get(APP_CONSTANTS.kioskParam))
+    : configOptions.enabled === true;
+  if (!enabled) return null;
+
+  return { ...KIOSK_DEFAULTS, ...configOptions };
+}
+
+let kioskIdleTimerId = null;
+let attractIntervalId = null;
+let attractVideoElement = null;
+let attractDismissedAt = 0;
+
+/**
+ * Starts unattended operation: any interaction restarts the idle timer,
+ * and when it runs out the app returns to the splash and plays the
+ * attract loop until the next visitor interacts.
+ */
+function startKioskMode() {
+  document.body.classList.add("kiosk");
+
+  // Movement alone keeps the app awake but doesn't dismiss the attract loop.
+  window.addEventListener("pointermove", resetKioskIdleTimer, {
+    capture: true,
+    passive: true,
+  });
+
+  const onInteraction = () => {
+    if (attractVideoElement) attractDismissedAt = Date.now();
+    stopAttractLoop();
+    resetKioskIdleTimer();
+  };
+  ["pointerdown", "keydown", "touchstart", "wheel"].forEach((type) =>
+    window.addEventListener(type, onInteraction, {
+      capture: true,
+      passive: true,
+    })
+  );
+
+  // The tap that dismisses the attract video must not also pick a path.
+  window.addEventListener(
+    "click",
+    (event) => {
+      if (Date.now() - attractDismissedAt < 600) {
+        event.preventDefault();
+        event.stopPropagation();
+      }
+    },
+    { capture: true }
+  );
+
+  resetKioskIdleTimer();
+}
+
+/**
+ * Restarts the kiosk inactivity countdown.
+ */
+function resetKioskIdleTimer() {
+  if (!appState.kiosk) return;
+  window.clearTimeout(kioskIdleTimerId);
+  kioskIdleTimerId = window.setTimeout(onKioskIdle, appState.kiosk.idleTimeout);
+}
+
+/**
+ * Called when the kiosk has been left alone for idleTimeout.
+ */
+function onKioskIdle() {
+  kioskIdleTimerId = null;
+  if (appState.mode === "RUNNING") returnToSplash();
+  startAttractLoop();
+}
+
+/**
+ * Plays the attract loop on the splash: the configured video if any,
+ * otherwise a highlight that cycles through the path cards.
+ */
+function startAttractLoop() {
+  if (appState.mode !== "SPLASH") return;
+  stopAttractLoop();
+
+  const options = appState.kiosk;
+  if (options.attractVideo) {
+    const video = document.createElement("video");
+    video.className = "attract-video";
+    video.src = options.attractVideo;
+    video.muted = true;
+    video.loop = true;
+    video.playsInline = true;
+    video.setAttribute("aria-hidden", "true");
+    getSplashRoot().appendChild(video);
+    attractVideoElement = video;
+
+    const playPromise = video.play();
+    if (playPromise && typeof playPromise.catch === "function") {
+      playPromise.catch(() => {});
+    }
+    return;
+  }
+
+  let highlightIndex = -1;
+  attractIntervalId = window.setInterval(() => {
+    const cards = getSplashButtonsRoot().querySelectorAll(
+      ".splash-button:not(:disabled)"
+    );
+    if (!cards.length) return;
+    cards.forEach((card) => card.classList.remove("is-attract"));
+    highlightIndex = (highlightIndex + 1) % cards.length;
+    cards[highlightIndex].classList.add("is-attract");
+  }, options.attractInterval);
+}
+
+/**
+ * Stops the attract loop and clears its highlight or video.
+ */
+function stopAttractLoop() {
+  if (attractIntervalId != null) {
+    window.clearInterval(attractIntervalId);
+    attractIntervalId = null;
+  }
+  document
+    .querySelectorAll(".splash-button.is-attract")
+    .forEach((card) => card.classList.remove("is-attract"));
+
+  if (attractVideoElement) {
+    try {
+      attractVideoElement.pause();
+    } catch {}
+    attractVideoElement.remove();
+    attractVideoElement = null;
+  }
+}
+
+/**
+ * True for links that would take a kiosk visitor out of the app:
+ * new windows/tabs and other sites.
+ *
+ * @param {HTMLAnchorElement} anchor
+ * @returns {boolean}
+ */
+function isExternalLink(anchor) {
+  return anchor.target === "_blank" || anchor.origin !== window.location.origin;
+}
+
+/**
+ * Autoplay defaults, overridable via the `autoplay` object in slides.json.
+ */
+const AUTOPLAY_DEFAULTS = {
+  dwell: 5000, // ms per step when neither the overlay nor slide sets `dwell`
+  loop: true, // at the end of a path, continue with the next one
+};
+
+// Extra time after a base video ends before autoplay moves on.
+const AUTOPLAY_VIDEO_END_MARGIN = 500;
+
+let autoplayTimerId = null;
+let autoplayPausedAt = 0;
+
+/**
+ * Resolves autoplay options. Autoplay is on when the URL has `?autoplay`
+ * (`?autoplay=0` turns it off) or slides.json sets `autoplay.enabled`.
+ *
+ * @param {Object} config
+ * @returns {Object|null} options with `playing: true`, or null
+ */
+function resolveAutoplayOptions(config) {
+  const configOptions =
+    config?.autoplay && typeof config.autoplay === "object"
+      ? config.autoplay
+      : {};
+  const params = new URLSearchParams(window.location.search);
+
+  const enabled = params.has(APP_CONSTANTS.autoplayParam)
+    ? !["0", "false"].includes(params.get(APP_CONSTANTS.autoplayParam))
+    : configOptions.enabled === true;
+  if (!enabled) return null;
+
+  return {
+    ...AUTOPLAY_DEFAULTS,
+    ...configOptions,
+    playing: true,
+    lastPathIndex: null,
+  };
+}
+
+/**
+ * Schedules the next automatic step for the current position.
+ * Called after every state change and whenever a sequential overlay
+ * appears; each call replaces the previously scheduled step.
+ *
+ * How long each step lasts, in order of preference:
+ * - the current sequential overlay's `dwell` (ms)
+ * - the slide's `dwell` (ms)
+ * - for video slides, the time left in the base video
+ * - the autoplay `dwell` default
+ *
+ * Slides that already advance on their own ("timer", "video-end") and
+ * overlays with `autoAdvance` keep their own timing.
+ */
+function scheduleAutoplayStep() {
+  clearAutoplayTimer();
+
+  const options = appState.autoplay;
+  if (!options || !options.playing) return;
+
+  if (appState.mode === "SPLASH") {
+    // Looping autoplay carries on into the next path by itself.
+    if (!options.loop) return;
+    const paths = getPathsConfig();
+    if (!paths.length) return;
+    const firstPathIndex =
+      typeof options.lastPathIndex === "number" ? options.lastPathIndex + 1 : 0;
+    // Locked paths are passed over until their requirements are done.
+    const nextPathIndex = paths
+      .map((_, offset) => (firstPathIndex + offset) % paths.length)
+      .find((index) => !getPathAvailability(index).locked);
+    if (nextPathIndex === undefined) return;
+    startAutoplayTimer(() => selectPath(nextPathIndex), options.dwell);
+    return;
+  }
+
+  if (appState.mode !== "RUNNING") return;
+  options.lastPathIndex = appState.pathIndex;
+
+  const slide =
+    getPathsConfig()[appState.pathIndex]?.slides[appState.slideIndex];
+  if (!slide) return;
+
+  const overlayDefinition =
+    typeof overlayAdvanceHandler === "function"
+      ? getSequentialOverlayDefinitions(slide)[appState.overlayIndex]
+      : null;
+
+  if (overlayDefinition) {
+    if (overlayDefinition.autoAdvance === true) return;
+  } else if (slide.advance === "timer" || slide.advance === "video-end") {
+    return;
+  }
+
+  const dwell = [overlayDefinition?.dwell, slide.dwell].find(
+    (value) => typeof value === "number" && value >= 0
+  );
+  if (dwell !== undefined) {
+    startAutoplayTimer(autoplayAdvance, dwell);
+    return;
+  }
+
+  const video = getStageRoot().querySelector("video.stage-media");
+  if (slide.base?.type === "video" && video) {
+    const startFromRemaining = () => {
+      const remaining = (video.duration - video.currentTime) * 1000;
+      startAutoplayTimer(
+        autoplayAdvance,
+        Number.isFinite(remaining)
+          ? Math.max(remaining, 0) + AUTOPLAY_VIDEO_END_MARGIN
+          : options.dwell
+      );
+    };
+    if (video.readyState >= 1) {
+      startFromRemaining();
+    } else {
+      video.addEventListener("loadedmetadata", startFromRemaining, {
+        once: true,
+      });
+      registerTeardownHandler(() =>
+        video.removeEventListener("loadedmetadata", startFromRemaining)
+      );
+    }
+    return;
+  }
+
+  startAutoplayTimer(autoplayAdvance, options.dwell);
+}
+
+/**
+ * @param {Function} callback
+ * @param {number} delay
+ */
+function startAutoplayTimer(callback, delay) {
+  clearAutoplayTimer();
+  autoplayTimerId = scheduleTimeout(
+    () => {
+      autoplayTimerId = null;
+      callback();
+    },
+    delay,
+    "autoplay"
+  );
+  registerTeardownHandler(clearAutoplayTimer);
+}
+
+function clearAutoplayTimer() {
+  if (autoplayTimerId != null) {
+    cancelScheduledTimeout(autoplayTimerId);
+    autoplayTimerId = null;
+  }
+}
+
+/**
+ * Takes one automatic step: the next sequential overlay if a sequence is
+ * active, otherwise the next slide. At the end of a path this returns to
+ * the splash, from where looping autoplay starts the next path.
+ */
+function autoplayAdvance() {
+  if (typeof overlayAdvanceHandler === "function") {
+    overlayAdvanceHandler();
+  } else {
+    moveToNextSlide();
+  }
+}
+
+/**
+ * Pauses or resumes autoplay and updates its on-screen indicator.
+ *
+ * @param {boolean} playing
+ */
+function setAutoplayPlaying(playing) {
+  if (!appState.autoplay) return;
+  appState.autoplay.playing = playing;
+  updateAutoplayIndicator();
+  if (playing) {
+    scheduleAutoplayStep();
+  } else {
+    clearAutoplayTimer();
+  }
+}
+
+/**
+ * Wires autoplay controls: the first click or key press from the viewer
+ * pauses autoplay (without also acting on the slide) and hands control
+ * back; the indicator button or the "A" key resumes it.
+ */
+function attachAutoplayBindings() {
+  const indicator = document.createElement("button");
+  indicator.type = "button";
+  indicator.className = "autoplay-indicator";
+  indicator.addEventListener("click", () =>
+    setAutoplayPlaying(!appState.autoplay.playing)
+  );
+  document.body.appendChild(indicator);
+  updateAutoplayIndicator();
+
+  const isAutoplayControl = (event) =>
+    event.target instanceof Element &&
+    !!event.target.closest(".autoplay-indicator, .global-audio-controls");
+
+  window.addEventListener(
+    "pointerdown",
+    (event) => {
+      if (!appState.autoplay.playing || isAutoplayControl(event)) return;
+      autoplayPausedAt = Date.now();
+      setAutoplayPlaying(false);
+    },
+    { capture: true }
+  );
+
+  // Swallow the click that paused autoplay so it doesn't also advance.
+  window.addEventListener(
+    "click",
+    (event) => {
+      if (Date.now() - autoplayPausedAt < 600 && !isAutoplayControl(event)) {
+        event.preventDefault();
+        event.stopPropagation();
+      }
+    },
+    { capture: true }
+  );
+
+  window.addEventListener(
+    "keydown",
+    (event) => {
+      if (event.key === "a" || event.key === "A") {
+        setAutoplayPlaying(!appState.autoplay.playing);
+        return;
+      }
+      const passThrough = ["Escape", "p", "P"].includes(event.key);
+      if (appState.autoplay.playing && !passThrough) {
+        event.preventDefault();
+        event.stopPropagation();
+        setAutoplayPlaying(false);
+      }
+    },
+    { capture: true }
+  );
+}
+
+/**
+ * Syncs the autoplay indicator's label with the playing flag.
+ */
+function updateAutoplayIndicator() {
+  const indicator = document.querySelector(".autoplay-indicator");
+  if (!indicator || !appState.autoplay) return;
+  const playing = appState.autoplay.playing;
+  indicator.classList.toggle("is-paused", !playing);
+  indicator.setAttribute("aria-pressed", playing ? "true" : "false");
+  indicator.textContent = translate(
+    playing ? "ui.autoplayOn" : "ui.autoplayPaused"
+  );
+}
+
 /**
  * Global key bindings for quick navigation and accessibility.
- * ESC returns to splash; Space/Enter/ArrowRight advance when running.
+ * ESC returns to splash (except in kiosk mode); Space/Enter/ArrowRight
+ * advance, ArrowLeft/PageUp step back and P pauses/resumes when running.
+ *
+ * These live for the whole session, so they are not registered as
+ * teardown handlers (which run on every state change).
  */
 function attachGlobalKeyBindings() {
   const handler = (event) => {
-    const isTyping = ["INPUT", "TEXTAREA"].includes(event.target.tagName);
+    const isTyping =
+      ["INPUT", "TEXTAREA", "SELECT"].includes(event.target.tagName) ||
+      event.target.isContentEditable;
     if (isTyping) return;
 
+    // Shift+D: developer HUD (js/debug.js).
+    if (event.key === "D" && event.shiftKey) {
+      toggleDebugHud();
+      return;
+    }
+    if (isEditorActive() && handleEditorKey(event)) return;
+
     if (event.key === "Escape") {
-      returnToSplash();
+      // Kiosks return to the splash on their own when left idle.
+      if (!appState.kiosk) returnToSplash();
       return;
     }
 
     if (appState.mode === "RUNNING") {
+      if (event.key === "p" || event.key === "P") {
+        setPaused(!appState.paused);
+        return;
+      }
+
       if (
         event.key === " " ||
         event.key === "Enter" ||
         event.key === "ArrowRight"
       ) {
         event.preventDefault();
-        goToNextSlideFromUserGesture();
+        // Quizzes and challenges are passed by answering them, not by
+        // skipping the slide.
+        if (slideHasUnansweredQuiz() || slideHasPendingChallenge()) return;
+        if (!completeTypewriters()) goToNextSlideFromUserGesture();
+      } else if (event.key === "ArrowLeft" || event.key === "PageUp") {
+        event.preventDefault();
+        stepBackFromUserGesture();
       }
     }
   };
 
   document.addEventListener("keydown", handler);
-  registerTeardownHandler(() =>
-    document.removeEventListener("keydown", handler)
-  );
 }
 
 /**
@@ -0,0 +1,162 @@
+/* challenge.js */
+
+// "Find the problem" challenges: a hotspot with a `challenge` has to be
+// found on the screenshot. Clicks anywhere else on the stage are misses:
+// each shows a hint bubble where the viewer clicked and plays a sound, and
+// after enough misses the hotspot pulses to give itself away. Finding it
+// runs the hotspot's action, "next" unless set.
+
+const CHALLENGE_PULSE_AFTER = 3; // misses
+const CHALLENGE_HINT_DURATION = 2500; // ms
+
+// Challenges on stage: {element, misses, found}.
+const activeChallenges = new Set();
+
+// Challenges found so far, by getChallengeKey. Shown again, e.g. after
+// stepping back or once the content is rebuilt, they count as found.
+const foundChallenges = new Set();
+
+/**
+ * Turns a hotspot overlay's wrapper into a challenge. Called from
+ * createOverlayElement, so its click handler runs before the one
+ * wireOverlayAction adds, and stands in for it.
+ *
+ * @param {HTMLElement} wrapper from createOverlayElement
+ * @param {Object} overlayDefinition a hotspot with a `challenge`
+ */
+function wireHotspotChallenge(wrapper, overlayDefinition) {
+  const challenge = overlayDefinition.challenge;
+  const pulseAfter =
+    challenge.pulseAfter >= 1
+      ? Math.floor(challenge.pulseAfter)
+      : CHALLENGE_PULSE_AFTER;
+  const key = getChallengeKey(overlayDefinition);
+  const state = {
+    element: wrapper,
+    misses: 0,
+    found: foundChallenges.has(key),
+  };
+  const stageRoot = getStageRoot();
+  let hint = null;
+  let hintTimerId = null;
+
+  const removeHint = () => {
+    cancelScheduledTimeout(hintTimerId);
+    hintTimerId = null;
+    if (hint?.parentNode) hint.parentNode.removeChild(hint);
+    hint = null;
+  };
+
+  // One bubble at a time, pointing at where the viewer clicked.
+  const showHint = (event) => {
+    removeHint();
+    const stageInner = wrapper.parentNode;
+    if (!stageInner) return;
+    const rect = stageInner.getBoundingClientRect();
+    const toPercent = (offset, size) =>
+      size > 0 ? Math.min(Math.max((offset / size) * 100, 0), 100) : 50;
+
+    hint = document.createElement("div");
+    hint.className = "challenge-hint";
+    hint.setAttribute("role", "status");
+    hint.textContent = challenge.hint || translate("ui.challengeHint");
+    hint.style.left = `${toPercent(event.clientX - rect.left, rect.width)}%`;
+    hint.style.top = `${toPercent(event.clientY - rect.top, rect.height)}%`;
+    stageInner.appendChild(hint);
+    hintTimerId = scheduleTimeout(
+      removeHint,
+      CHALLENGE_HINT_DURATION,
+      `${describeOverlay(overlayDefinition)} hint`
+    );
+  };
+
+  const foundHandler = (event) => {
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    state.found = true;
+    foundChallenges.add(key);
+    removeHint();
+    wrapper.classList.remove("is-revealed");
+    runOverlayAction(
+      overlayDefinition.action || "next",
+      overlayDefinition.target
+    );
+  };
+
+  const missHandler = (event) => {
+    if (state.found || !isChallengeShown(state)) return;
+    if (wrapper.contains(event.target)) return;
+    state.misses += 1;
+    showHint(event);
+    playOverlayAudio({ sound: challenge.sound });
+    if (state.misses >= pulseAfter) wrapper.classList.add("is-revealed");
+  };
+
+  activeChallenges.add(state);
+  wrapper.addEventListener("click", foundHandler);
+  stageRoot.addEventListener("click", missHandler);
+  registerTeardownHandler(() => {
+    activeChallenges.delete(state);
+    wrapper.removeEventListener("click", foundHandler);
+    stageRoot.removeEventListener("click", missHandler);
+    removeHint();
+  });
+}
+
+/**
+ * @returns {boolean} true while a challenge is on screen and not yet
+ *   found, so clicking the stage must not move on
+ */
+function isChallengePending() {
+  return [...activeChallenges].some(
+    (state) => !state.found && isChallengeShown(state)
+  );
+}
+
+/**
+ * @returns {boolean} true while a challenge of the current slide is on
+ *   screen and not found, or still to come and never found, so the slide
+ *   must not be skipped by key
+ */
+function slideHasPendingChallenge() {
+  const slide =
+    getPathsConfig()[appState.pathIndex]?.slides?.[appState.slideIndex];
+  return (
+    isChallengePending() ||
+    (slide?.overlays || []).some(
+      (overlay) =>
+        overlay?.type === "hotspot" &&
+        overlay.challenge &&
+        !foundChallenges.has(getChallengeKey(overlay))
+    )
+  );
+}
+
+/**
+ * Names a challenge on the current slide by its path's slug and, as for
+ * quizzes (see getQuizKey), its `id` or its slide and place there.
+ *
+ * @param {Object} overlayDefinition
+ * @returns {string} e.g. "bank/3/2"
+ */
+function getChallengeKey(overlayDefinition) {
+  const pathDefinition = getPathsConfig()[appState.pathIndex];
+  const slug = getPathSlug(pathDefinition, appState.pathIndex);
+  const place = getQuizKey(
+    pathDefinition?.slides?.[appState.slideIndex],
+    appState.slideIndex,
+    overlayDefinition
+  );
+  return `${slug}/${place}`;
+}
+
+/**
+ * @param {Object} state
+ * @returns {boolean} true if the challenge's hotspot is on stage and not
+ *   hidden by its timing
+ */
+function isChallengeShown(state) {
+  return (
+    state.element.isConnected && state.element.style.visibility !== "hidden"
+  );
+}
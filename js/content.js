@@ -0,0 +1,280 @@
+/* content.js */
+
+// Content transforms applied after loading and before validation:
+// preset expansion, then localization, then personalization.
+
+/**
+ * Expands reusable presets in a loaded slides configuration, in place.
+ *
+ * The top-level `presets` map names partial slide or overlay objects.
+ * A slide or overlay with `"extends": "continueButton"` (or a list of
+ * names, applied left to right) starts from those presets and its own
+ * fields win. Objects are merged deeply; arrays and other values are
+ * replaced whole. Presets may themselves extend other presets.
+ *
+ * Runs before schema validation, so the schema only ever sees the
+ * expanded objects. Problems (unknown names, cycles) are returned as
+ * errors addressed by JSON pointer, and the object is left unexpanded.
+ *
+ * @param {Object} config
+ * @returns {Array<{pointer: string, message: string}>} errors
+ */
+function applyContentPresets(config) {
+  const errors = [];
+  if (!config || typeof config !== "object" || !Array.isArray(config.paths)) {
+    return errors;
+  }
+
+  const presets =
+    config.presets && typeof config.presets === "object" ? config.presets : {};
+  const expandedPresets = new Map();
+
+  // Expands one preset by name, following its own `extends`.
+  const resolvePreset = (name, pointer, chain) => {
+    if (expandedPresets.has(name)) return expandedPresets.get(name);
+    if (!isPlainContentObject(presets[name])) {
+      errors.push({ pointer, message: `unknown preset "${name}"` });
+      return null;
+    }
+    if (chain.includes(name)) {
+      const cycle = [...chain, name].join(" -> ");
+      errors.push({ pointer, message: `presets extend each other: ${cycle}` });
+      return null;
+    }
+    let expanded = expand(presets[name], `/presets/${name}`, [...chain, name]);
+    // A preset whose own `extends` failed is reported once, then unusable.
+    if (expanded.extends !== undefined) expanded = null;
+    expandedPresets.set(name, expanded);
+    return expanded;
+  };
+
+  // Returns `value` merged over the presets it extends.
+  const expand = (value, pointer, chain = []) => {
+    if (!isPlainContentObject(value) || value.extends === undefined) {
+      return value;
+    }
+
+    const { extends: names, ...own } = value;
+    const nameList = [].concat(names);
+    if (!nameList.every((name) => typeof name === "string")) {
+      errors.push({
+        pointer: `${pointer}/extends`,
+        message: "must be a preset name or a list of preset names",
+      });
+      return value;
+    }
+
+    let base = {};
+    for (const name of nameList) {
+      const preset = resolvePreset(name, `${pointer}/extends`, chain);
+      if (!preset) return value;
+      base = mergeContentObjects(base, preset);
+    }
+    return mergeContentObjects(base, own);
+  };
+
+  config.paths.forEach((pathDefinition, pathIndex) => {
+    if (!Array.isArray(pathDefinition?.slides)) return;
+    pathDefinition.slides = pathDefinition.slides.map((slide, slideIndex) => {
+      const slidePointer = `/paths/${pathIndex}/slides/${slideIndex}`;
+      const expandedSlide = expand(slide, slidePointer);
+      if (!Array.isArray(expandedSlide?.overlays)) return expandedSlide;
+
+      return {
+        ...expandedSlide,
+        overlays: expandedSlide.overlays.map((overlay, overlayIndex) =>
+          expand(overlay, `${slidePointer}/overlays/${overlayIndex}`)
+        ),
+      };
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Returns a copy of the configuration for one locale:
+ * - any value written as `{"$t": "key"}` is replaced by that key's text
+ *   from `locales[locale].strings`, falling back to the default locale
+ *   (`defaultLocale`, "en" unless set)
+ * - any object with a `lang` map has the entry for the locale merged
+ *   over it (e.g. a localized `src` for a video), and `lang` removed
+ *
+ * Keys missing from both tables are left as the key itself and returned
+ * in `missing`; keys answered by the fallback are listed in `fallbacks`.
+ *
+ * @param {Object} config configuration with presets already expanded
+ * @param {string} locale
+ * @returns {{config: Object, missing: Array<{pointer: string, key: string}>,
+ *   fallbacks: Array<{pointer: string, key: string}>}}
+ */
+function localizeContent(config, locale) {
+  const missing = [];
+  const fallbacks = [];
+  const defaultLocale = getDefaultLocale(config);
+  const strings = getLocaleStrings(config, locale);
+  const defaultStrings = getLocaleStrings(config, defaultLocale);
+
+  const localize = (value, pointer) => {
+    if (Array.isArray(value)) {
+      return value.map((item, index) => localize(item, `${pointer}/${index}`));
+    }
+    if (!isPlainContentObject(value)) return value;
+
+    if (typeof value.$t === "string") {
+      const key = value.$t;
+      if (typeof strings[key] === "string") return strings[key];
+      if (typeof defaultStrings[key] === "string") {
+        fallbacks.push({ pointer, key });
+        return defaultStrings[key];
+      }
+      missing.push({ pointer, key });
+      return key;
+    }
+
+    const { lang, ...own } = value;
+    const localized =
+      isPlainContentObject(lang) && isPlainContentObject(lang[locale])
+        ? mergeContentObjects(own, lang[locale])
+        : own;
+
+    const result = {};
+    Object.keys(localized).forEach((key) => {
+      result[key] = localize(localized[key], `${pointer}/${key}`);
+    });
+    return result;
+  };
+
+  // The string tables themselves are left as written.
+  const { locales, ...content } = config;
+  const localizedConfig = localize(content, "");
+  if (locales !== undefined) localizedConfig.locales = locales;
+
+  return { config: localizedConfig, missing, fallbacks };
+}
+
+/**
+ * Fills `{{name}}` tokens in the text viewers see, in place: overlay
+ * `html` and `alt`, and base `alt`. Values are inserted into `html`
+ * escaped, so a value can never add markup. Tokens with no value are
+ * removed and returned, addressed by JSON pointer.
+ *
+ * @param {Object} config localized configuration
+ * @param {Object<string, string>} values e.g. `{company: "Acme"}`
+ * @returns {Array<{pointer: string, name: string}>} unfilled tokens
+ */
+function personalizeContent(config, values) {
+  const unfilled = [];
+  if (!config || typeof config !== "object" || !Array.isArray(config.paths)) {
+    return unfilled;
+  }
+
+  const fill = (owner, field, pointer, escape) => {
+    if (typeof owner?.[field] !== "string") return;
+    owner[field] = owner[field].replace(
+      /\{\{\s*([\w.-]+)\s*\}\}/g,
+      (token, name) => {
+        if (typeof values[name] !== "string") {
+          unfilled.push({ pointer: `${pointer}/${field}`, name });
+          return "";
+        }
+        return escape ? escapeContentHtml(values[name]) : values[name];
+      }
+    );
+  };
+
+  config.paths.forEach((pathDefinition, pathIndex) => {
+    (pathDefinition?.slides || []).forEach((slide, slideIndex) => {
+      const slidePointer = `/paths/${pathIndex}/slides/${slideIndex}`;
+      fill(slide?.base, "alt", `${slidePointer}/base`, false);
+      (slide?.overlays || []).forEach((overlay, overlayIndex) => {
+        const overlayPointer = `${slidePointer}/overlays/${overlayIndex}`;
+        fill(overlay, "html", overlayPointer, true);
+        fill(overlay, "alt", overlayPointer, false);
+      });
+    });
+  });
+
+  return unfilled;
+}
+
+/**
+ * @param {string} text
+ * @returns {string} text safe to place in HTML content or attributes
+ */
+function escapeContentHtml(text) {
+  return text.replace(
+    /[&<>"']/g,
+    (character) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[character])
+  );
+}
+
+/**
+ * @param {Object} config
+ * @returns {string} the locale used for missing strings
+ */
+function getDefaultLocale(config) {
+  return typeof config?.defaultLocale === "string"
+    ? config.defaultLocale
+    : "en";
+}
+
+/**
+ * Returns a locale's string table, or an empty one.
+ *
+ * @param {Object} config
+ * @param {string} locale
+ * @returns {Object<string, string>}
+ */
+function getLocaleStrings(config, locale) {
+  const strings = config?.locales?.[locale]?.strings;
+  return isPlainContentObject(strings) ? strings : {};
+}
+
+/**
+ * Deep-merges `override` onto a copy of `base`. Plain objects merge key
+ * by key; anything else in `override` (arrays included) replaces.
+ *
+ * @param {Object} base
+ * @param {Object} override
+ * @returns {Object}
+ */
+function mergeContentObjects(base, override) {
+  const merged = { ...base };
+  Object.keys(override).forEach((key) => {
+    merged[key] =
+      isPlainContentObject(merged[key]) && isPlainContentObject(override[key])
+        ? mergeContentObjects(merged[key], override[key])
+        : override[key];
+  });
+  return merged;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} true for a JSON object (not an array or null)
+ */
+function isPlainContentObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+// The Node tools (tools/lint-slides.js, tools/check-content.js) prepare
+// content with these transforms, in the app's order.
+if (typeof module === "object" && module.exports) {
+  module.exports = {
+    applyContentPresets,
+    localizeContent,
+    personalizeContent,
+    escapeContentHtml,
+    getDefaultLocale,
+    getLocaleStrings,
+    mergeContentObjects,
+  };
+}
@@ -0,0 +1,242 @@
+/* debug.js */
+
+// Developer HUD, shown with `?debug` or toggled with Shift+D. It reports
+// what the engine is doing right now: position, slide time, pending
+// timers, playing audio and video, and offers a jump to any slide. The
+// slide timeline (timeline.js) is shown and refreshed along with it.
+
+const DEBUG_REFRESH_INTERVAL = 100; // ms
+
+const VIDEO_READY_STATES = [
+  "nothing",
+  "metadata",
+  "current data",
+  "future data",
+  "enough data",
+];
+
+const debugState = {
+  hud: null,
+  refreshId: null,
+  jumpConfig: null, // configuration the jump list was built from
+};
+
+/**
+ * Shows the HUD at startup when the app was opened with `?debug`.
+ */
+function startDebugHud() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.has(APP_CONSTANTS.debugParam)) toggleDebugHud(true);
+}
+
+/**
+ * Shows or hides the HUD. It refreshes itself only while shown.
+ *
+ * @param {boolean} [visible] defaults to the opposite of the current state
+ */
+function toggleDebugHud(visible = !debugState.hud || debugState.hud.hidden) {
+  if (!debugState.hud) {
+    debugState.hud = createDebugHud();
+    document.body.appendChild(debugState.hud);
+  }
+  debugState.hud.hidden = !visible;
+  setTimelineVisible(visible);
+
+  // A plain interval, not scheduleTimeout: the HUD keeps reporting while
+  // the experience is paused.
+  window.clearInterval(debugState.refreshId);
+  debugState.refreshId = null;
+  if (visible) {
+    refreshDebugHud();
+    debugState.refreshId = window.setInterval(
+      refreshDebugHud,
+      DEBUG_REFRESH_INTERVAL
+    );
+  }
+}
+
+/**
+ * @returns {HTMLElement}
+ */
+function createDebugHud() {
+  const hud = document.createElement("aside");
+  hud.className = "debug-hud";
+  hud.setAttribute("aria-label", "Debug");
+
+  const report = document.createElement("pre");
+  report.className = "debug-report";
+
+  const jump = document.createElement("label");
+  jump.className = "debug-jump";
+  jump.textContent = "Jump to ";
+  const select = document.createElement("select");
+  select.addEventListener("change", () => {
+    const [pathIndex, slideIndex] = select.value.split("/").map(Number);
+    if (Number.isInteger(pathIndex) && Number.isInteger(slideIndex)) {
+      goToSlideFromUserGesture(pathIndex, slideIndex);
+    }
+  });
+  jump.appendChild(select);
+
+  hud.appendChild(report);
+  hud.appendChild(jump);
+  return hud;
+}
+
+/**
+ * Redraws the HUD from the engine's current state.
+ */
+function refreshDebugHud() {
+  const hud = debugState.hud;
+  if (!hud || hud.hidden) return;
+
+  hud.querySelector(".debug-report").textContent =
+    describeDebugState().join("\n");
+
+  const select = hud.querySelector("select");
+  if (debugState.jumpConfig !== appState.config) {
+    debugState.jumpConfig = appState.config;
+    buildDebugJumpOptions(select);
+  }
+  if (document.activeElement !== select) {
+    select.value =
+      appState.mode === "RUNNING"
+        ? `${appState.pathIndex}/${appState.slideIndex}`
+        : "";
+  }
+  refreshTimeline();
+}
+
+/**
+ * Fills the jump list: one group per path, one option per slide.
+ *
+ * @param {HTMLSelectElement} select
+ */
+function buildDebugJumpOptions(select) {
+  clearElement(select);
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = "slide…";
+  select.appendChild(placeholder);
+
+  getPathsConfig().forEach((pathDefinition, pathIndex) => {
+    const group = document.createElement("optgroup");
+    group.label = getPathSlug(pathDefinition, pathIndex);
+    (pathDefinition.slides || []).forEach((slide, slideIndex) => {
+      const option = document.createElement("option");
+      option.value = `${pathIndex}/${slideIndex}`;
+      option.textContent = `${slideIndex + 1}${slide.id ? ` ${slide.id}` : ""}`;
+      group.appendChild(option);
+    });
+    select.appendChild(group);
+  });
+}
+
+/**
+ * @returns {string[]} the HUD's report, one line each
+ */
+function describeDebugState() {
+  const lines = [
+    `mode ${appState.mode}${appState.paused ? "  PAUSED" : ""}${
+      appState.locale ? `  locale ${appState.locale}` : ""
+    }`,
+  ];
+
+  if (appState.mode === "RUNNING") {
+    const paths = getPathsConfig();
+    const pathDefinition = paths[appState.pathIndex];
+    const slides = pathDefinition?.slides || [];
+    const slide = slides[appState.slideIndex];
+    const pathName = getPathSlug(pathDefinition, appState.pathIndex);
+    const slideName = slide?.id ? ` ${slide.id}` : "";
+    lines.push(
+      `path ${pathName} ${appState.pathIndex + 1}/${paths.length}  ` +
+        `slide ${appState.slideIndex + 1}/${slides.length}${slideName}  ` +
+        `advance ${slide?.advance || "click"}`
+    );
+
+    const sequence = overlaySequenceInspector && overlaySequenceInspector();
+    lines.push(
+      sequence
+        ? `sequence ${sequence.index + 1}/${sequence.count}  clicks ${
+            sequence.waiting ? "BLOCKED (waiting for delay)" : "advance"
+          }`
+        : `sequence none${appState.finalState ? "  final state" : ""}`
+    );
+    lines.push(`slide time ${formatDebugSeconds(getSlideElapsed() / 1000)}`);
+  }
+
+  const timers = getScheduledTimeouts();
+  lines.push("", `timers ${timers.length}`);
+  timers.forEach(({ id, label, remaining }) => {
+    lines.push(
+      `  #${id} ${label || "(unlabelled)"}  in ${formatDebugSeconds(
+        remaining / 1000
+      )}`
+    );
+  });
+
+  [
+    ["music", activeMusicElements],
+    ["sound", activeSoundElements],
+  ].forEach(([name, elements]) => {
+    lines.push("", `${name} ${elements.size}`);
+    elements.forEach((audio) => {
+      lines.push(
+        `  ${getDebugMediaName(audio)}  ${formatDebugSeconds(
+          audio.currentTime
+        )} / ${formatDebugSeconds(audio.duration)}  ${
+          audio.paused ? "paused" : "playing"
+        }${audio.loop ? "  loop" : ""}${audio.muted ? "  muted" : ""}`
+      );
+    });
+  });
+
+  lines.push("", `video ${activeVideoElements.size}`);
+  activeVideoElements.forEach((video) => {
+    const onStage = getStageRoot().contains(video) ? "  on stage" : "";
+    lines.push(
+      `  ${getDebugMediaName(video)}${onStage}  ${formatDebugSeconds(
+        video.currentTime
+      )} / ${formatDebugSeconds(video.duration)}  ${
+        video.paused ? "paused" : "playing"
+      }`,
+      `    ready ${
+        VIDEO_READY_STATES[video.readyState] || video.readyState
+      }  buffered ${describeBufferedRanges(video.buffered)}`
+    );
+  });
+
+  return lines;
+}
+
+/**
+ * @param {TimeRanges} ranges
+ * @returns {string} e.g. "0.0–12.5 s, 20.0–30.0 s", or "none"
+ */
+function describeBufferedRanges(ranges) {
+  const parts = [];
+  for (let i = 0; i < (ranges?.length || 0); i += 1) {
+    parts.push(
+      `${ranges.start(i).toFixed(1)}–${formatDebugSeconds(ranges.end(i))}`
+    );
+  }
+  return parts.length > 0 ? parts.join(", ") : "none";
+}
+
+/**
+ * @param {HTMLMediaElement} media
+ * @returns {string} the file name of the playing source
+ */
+function getDebugMediaName(media) {
+  const src = media.currentSrc || media.src || "";
+  return decodeURIComponent(src.split(/[?#]/)[0].split("/").pop()) || "(none)";
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} e.g. "12.3 s", or "–" when unknown
+ */
+function formatDebugSeconds(seconds) {
+  return Number.isFinite(seconds) ? `${seconds.toFixed(1)} s` : "–";
+}
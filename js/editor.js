@@ -0,0 +1,564 @@
+/* editor.js */
+
+// Authoring mode, opened with `?edit`. The stage shows every overlay of a
+// slide at once with a box that can be dragged and resized, html/text
+// overlays can be retyped in place, and the edited content files can be
+// downloaded. Edits go into the files as written (before presets and
+// localization), and the configuration is rebuilt from them after each
+// change, so what is shown is always what the exported files produce.
+
+const editorState = {
+  active: new URLSearchParams(window.location.search).has(
+    APP_CONSTANTS.editParam
+  ),
+  url: null, // manifest URL
+  files: null, // Map of URL -> parsed file, edited in place
+  modified: new Set(), // URLs of files with edits not yet downloaded
+  slide: null, // "pathIndex/slideIndex" of the slide being edited
+  selected: null, // index of the selected overlay on that slide
+  toolbar: null,
+};
+
+/**
+ * @returns {boolean} true when the app was opened with `?edit`
+ */
+function isEditorActive() {
+  return editorState.active;
+}
+
+/**
+ * Starts authoring mode with the files the configuration was built from.
+ *
+ * @param {string} url manifest URL
+ * @param {Map<string, *>} files from fetchSlidesFiles
+ */
+function startEditor(url, files) {
+  editorState.url = url;
+  editorState.files = files;
+  document.body.classList.add("is-editing");
+  editorState.toolbar = createEditorToolbar();
+  document.body.appendChild(editorState.toolbar);
+
+  window.addEventListener("beforeunload", (event) => {
+    if (editorState.modified.size === 0) return;
+    event.preventDefault();
+    event.returnValue = "";
+  });
+}
+
+/**
+ * Builds the toolbar shown under the stage: slide stepping, the selected
+ * overlay's box, and a download button per edited file.
+ *
+ * @returns {HTMLElement}
+ */
+function createEditorToolbar() {
+  const toolbar = document.createElement("div");
+  toolbar.className = "editor-toolbar";
+  toolbar.hidden = true;
+  toolbar.title =
+    "Drag a box to move it, drag its corner to resize, double-click text to edit";
+
+  const prev = document.createElement("button");
+  prev.type = "button";
+  prev.className = "editor-button";
+  prev.textContent = "‹";
+  prev.setAttribute("aria-label", "Previous slide");
+  prev.addEventListener("click", () => stepEditorSlide(-1));
+
+  const position = document.createElement("span");
+  position.className = "editor-position";
+
+  const next = document.createElement("button");
+  next.type = "button";
+  next.className = "editor-button";
+  next.textContent = "›";
+  next.setAttribute("aria-label", "Next slide");
+  next.addEventListener("click", () => stepEditorSlide(1));
+
+  const readout = document.createElement("span");
+  readout.className = "editor-readout";
+
+  const downloads = document.createElement("span");
+  downloads.className = "editor-downloads";
+
+  [prev, position, next, readout, downloads].forEach((el) =>
+    toolbar.appendChild(el)
+  );
+  return toolbar;
+}
+
+/**
+ * Renders the current slide's overlays for editing, in place of the
+ * sequential and timed flows: all of them at once (sound-only overlays
+ * excepted), each under a labelled box. Nothing plays or advances.
+ *
+ * @param {HTMLElement} stageInner
+ * @param {Object} slide
+ */
+function renderEditorOverlays(stageInner, slide) {
+  const slideKey = `${appState.pathIndex}/${appState.slideIndex}`;
+  if (editorState.slide !== slideKey) {
+    editorState.slide = slideKey;
+    editorState.selected = null;
+  }
+
+  const video = stageInner.querySelector("video.stage-media");
+  if (video) video.pause();
+
+  // Overlays must not run their actions or follow links while editing.
+  const blockClicks = (event) => {
+    event.stopPropagation();
+    if (event.target.closest("a[href]")) event.preventDefault();
+  };
+  stageInner.addEventListener("click", blockClicks, true);
+  registerTeardownHandler(() =>
+    stageInner.removeEventListener("click", blockClicks, true)
+  );
+
+  (slide.overlays || []).forEach((overlayDefinition, index) => {
+    if (!overlayDefinition || overlayDefinition.type === "sound") return;
+
+    const element = createOverlayElement(overlayDefinition);
+    if (Array.isArray(overlayDefinition.classList)) {
+      overlayDefinition.classList.forEach((cls) => element.classList.add(cls));
+    }
+    element.classList.add("overlay-visible");
+    stageInner.appendChild(element);
+    stageInner.appendChild(
+      createEditorBox(index, overlayDefinition, element, stageInner)
+    );
+  });
+
+  editorState.toolbar.hidden = false;
+  registerTeardownHandler(() => {
+    editorState.toolbar.hidden = true;
+  });
+  updateEditorToolbar();
+}
+
+/**
+ * Creates the box that selects, moves and resizes one overlay.
+ * Overlays whose slide takes its `overlays` list from a preset are shown
+ * but cannot be moved, since there is no overlay of their own to edit.
+ *
+ * @param {number} index position in the slide's `overlays`
+ * @param {Object} overlayDefinition
+ * @param {HTMLElement} element the rendered overlay
+ * @param {HTMLElement} stageInner
+ * @returns {HTMLElement}
+ */
+function createEditorBox(index, overlayDefinition, element, stageInner) {
+  const box = document.createElement("div");
+  box.className = "editor-box";
+  box.dataset.index = String(index);
+  applyOverlayBox(box, overlayDefinition);
+  if (index === editorState.selected) box.classList.add("is-selected");
+
+  const movable = !!findSourceOverlay(index);
+  if (!movable) box.classList.add("is-locked");
+
+  const label = document.createElement("span");
+  label.className = "editor-label";
+  label.textContent = `${index + 1} ${overlayDefinition.type}${
+    movable ? "" : " (preset)"
+  }`;
+  box.appendChild(label);
+
+  if (movable) {
+    const handle = document.createElement("span");
+    handle.className = "editor-handle";
+    handle.addEventListener("pointerdown", (event) =>
+      startEditorDrag(event, "resize", index, box, element, stageInner)
+    );
+    box.appendChild(handle);
+  }
+
+  box.addEventListener("pointerdown", (event) => {
+    if (event.target !== box && event.target !== label) return;
+    if (movable) {
+      startEditorDrag(event, "move", index, box, element, stageInner);
+    } else {
+      selectEditorOverlay(index);
+    }
+  });
+
+  if (overlayDefinition.type === "html" || overlayDefinition.type === "text") {
+    box.addEventListener("dblclick", () =>
+      startEditorTextEdit(index, overlayDefinition, box, element)
+    );
+  }
+  return box;
+}
+
+/**
+ * Marks one overlay as selected and shows its box in the toolbar.
+ *
+ * @param {number} index
+ */
+function selectEditorOverlay(index) {
+  editorState.selected = index;
+  document.querySelectorAll(".editor-box").forEach((box) => {
+    box.classList.toggle("is-selected", box.dataset.index === String(index));
+  });
+  updateEditorToolbar();
+}
+
+/**
+ * Moves or resizes an overlay with the pointer, in stage percentages,
+ * and saves the new box when the pointer is released.
+ *
+ * @param {PointerEvent} event
+ * @param {"move"|"resize"} mode
+ * @param {number} index
+ * @param {HTMLElement} box
+ * @param {HTMLElement} element
+ * @param {HTMLElement} stageInner
+ */
+function startEditorDrag(event, mode, index, box, element, stageInner) {
+  if (event.button !== 0) return;
+  event.preventDefault();
+  event.stopPropagation();
+  selectEditorOverlay(index);
+
+  const stageRect = stageInner.getBoundingClientRect();
+  if (!stageRect.width || !stageRect.height) return;
+
+  const start = readEditorBox(index, box, stageRect);
+  let current = start;
+
+  const onMove = (moveEvent) => {
+    const dx = ((moveEvent.clientX - event.clientX) / stageRect.width) * 100;
+    const dy = ((moveEvent.clientY - event.clientY) / stageRect.height) * 100;
+    current =
+      mode === "move"
+        ? {
+            ...start,
+            x: roundEditorValue(start.x + dx),
+            y: roundEditorValue(start.y + dy),
+          }
+        : {
+            ...start,
+            w: Math.max(1, roundEditorValue(start.w + dx)),
+            h: Math.max(1, roundEditorValue(start.h + dy)),
+          };
+    applyOverlayBox(box, current);
+    applyOverlayBox(element, current);
+    updateEditorToolbar(current);
+  };
+
+  const onEnd = () => {
+    window.removeEventListener("pointermove", onMove);
+    window.removeEventListener("pointerup", onEnd);
+    window.removeEventListener("pointercancel", onEnd);
+    // Only what changed is written, so preset values are not copied in.
+    const changes = {};
+    Object.keys(current).forEach((key) => {
+      if (current[key] !== start[key]) changes[key] = current[key];
+    });
+    if (Object.keys(changes).length > 0) commitEditorOverlay(index, changes);
+  };
+
+  window.addEventListener("pointermove", onMove);
+  window.addEventListener("pointerup", onEnd);
+  window.addEventListener("pointercancel", onEnd);
+}
+
+/**
+ * Returns an overlay's box in stage percentages: its own `x`/`y`/`w`/`h`
+ * where set, otherwise measured from where it is drawn.
+ *
+ * @param {number} index
+ * @param {HTMLElement} box
+ * @param {DOMRect} stageRect
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+function readEditorBox(index, box, stageRect) {
+  const definition = getEditorSlide()?.overlays?.[index] || {};
+  const rect = box.getBoundingClientRect();
+  const measured = {
+    x: ((rect.left - stageRect.left) / stageRect.width) * 100,
+    y: ((rect.top - stageRect.top) / stageRect.height) * 100,
+    w: (rect.width / stageRect.width) * 100,
+    h: (rect.height / stageRect.height) * 100,
+  };
+
+  const result = {};
+  Object.keys(measured).forEach((key) => {
+    result[key] =
+      typeof definition[key] === "number"
+        ? definition[key]
+        : roundEditorValue(measured[key]);
+  });
+  return result;
+}
+
+/**
+ * Makes an html/text overlay editable in place; the new markup is saved
+ * when it loses focus (Escape also finishes).
+ *
+ * @param {number} index
+ * @param {Object} overlayDefinition
+ * @param {HTMLElement} box
+ * @param {HTMLElement} element
+ */
+function startEditorTextEdit(index, overlayDefinition, box, element) {
+  const editable =
+    overlayDefinition.type === "text" ? element.firstElementChild : element;
+  if (!editable) return;
+
+  const before = editable.innerHTML;
+  selectEditorOverlay(index);
+  box.classList.add("is-editing-text");
+  element.style.pointerEvents = "auto";
+  editable.setAttribute("contenteditable", "true");
+  editable.focus();
+
+  const onKeyDown = (event) => {
+    if (event.key === "Escape") editable.blur();
+  };
+  editable.addEventListener("keydown", onKeyDown);
+  editable.addEventListener(
+    "blur",
+    () => {
+      editable.removeEventListener("keydown", onKeyDown);
+      editable.removeAttribute("contenteditable");
+      element.style.pointerEvents = "";
+      box.classList.remove("is-editing-text");
+      if (editable.innerHTML !== before) {
+        commitEditorOverlay(index, { html: editable.innerHTML });
+      }
+    },
+    { once: true }
+  );
+}
+
+/**
+ * Writes an edit into the content files and re-renders from them.
+ *
+ * Box fields go on the overlay as written in its path file, overriding
+ * any preset. Text whose overlay uses a `{"$t": key}` string goes into
+ * the current locale's string table instead of the overlay.
+ *
+ * @param {number} index
+ * @param {{x?: number, y?: number, w?: number, h?: number,
+ *   html?: string}} changes
+ */
+function commitEditorOverlay(index, changes) {
+  const { html, ...box } = changes;
+  const source = findSourceOverlay(index);
+
+  if (html !== undefined) {
+    const key = getUnlocalizedOverlay(index)?.html?.$t;
+    const table = typeof key === "string" ? findSourceStrings() : null;
+    if (table) {
+      table.strings[key] = html;
+      editorState.modified.add(table.file);
+    } else if (source) {
+      source.overlay.html = html;
+      editorState.modified.add(source.file);
+    }
+  }
+
+  if (source && Object.keys(box).length > 0) {
+    Object.assign(source.overlay, box);
+    editorState.modified.add(source.file);
+  }
+
+  rebuildEditorConfiguration();
+}
+
+/**
+ * Rebuilds the configuration from the edited files and re-renders the
+ * current slide. If the edit makes the content invalid, the report is
+ * logged and the stage keeps showing the last good build.
+ */
+function rebuildEditorConfiguration() {
+  let loaded;
+  try {
+    loaded = buildSlidesConfiguration(editorState.url, editorState.files, {
+      locale: appState.locale,
+      personalize: false,
+    });
+  } catch (error) {
+    console.error(error.message, error.report?.errors || "");
+    updateEditorToolbar();
+    return;
+  }
+
+  unlocalizedConfig = loaded.sourceConfig;
+  showContentWarnings(loaded.warnings);
+  setState({ config: loaded.config }, { replaceHistory: true });
+}
+
+/**
+ * Finds the current slide's overlay as written in its content file.
+ *
+ * @param {number} index
+ * @returns {{file: string, overlay: Object}|null} null when the slide's
+ *   overlays come from a preset
+ */
+function findSourceOverlay(index) {
+  const manifest = editorState.files?.get(editorState.url);
+  const entry = manifest?.paths?.[appState.pathIndex];
+  let file = editorState.url;
+  let pathDefinition = entry;
+  if (typeof entry?.$ref === "string" && !Array.isArray(entry.slides)) {
+    file = resolveRelativeUrl(entry.$ref, editorState.url);
+    pathDefinition = editorState.files.get(file);
+  }
+
+  const overlays = pathDefinition?.slides?.[appState.slideIndex]?.overlays;
+  const overlay = Array.isArray(overlays) ? overlays[index] : null;
+  return overlay && typeof overlay === "object" ? { file, overlay } : null;
+}
+
+/**
+ * Finds the string table of the current locale as written.
+ *
+ * @returns {{file: string, strings: Object}|null}
+ */
+function findSourceStrings() {
+  const manifest = editorState.files?.get(editorState.url);
+  const entry = manifest?.locales?.[appState.locale];
+  let file = editorState.url;
+  let table = entry;
+  if (typeof entry?.$ref === "string" && !entry.strings) {
+    file = resolveRelativeUrl(entry.$ref, editorState.url);
+    table = editorState.files.get(file);
+  }
+  if (!table || typeof table !== "object") return null;
+
+  if (!table.strings || typeof table.strings !== "object") table.strings = {};
+  return { file, strings: table.strings };
+}
+
+/**
+ * @param {number} index
+ * @returns {Object|undefined} the overlay with presets applied but not
+ *   yet localized, to tell `{"$t": key}` text from plain text
+ */
+function getUnlocalizedOverlay(index) {
+  return unlocalizedConfig?.paths?.[appState.pathIndex]?.slides?.[
+    appState.slideIndex
+  ]?.overlays?.[index];
+}
+
+/**
+ * @returns {Object|undefined} the slide being edited, as rendered
+ */
+function getEditorSlide() {
+  return getPathsConfig()[appState.pathIndex]?.slides?.[appState.slideIndex];
+}
+
+/**
+ * Moves to the previous or next slide of the current path.
+ *
+ * @param {number} delta -1 or 1
+ */
+function stepEditorSlide(delta) {
+  const slides = getPathsConfig()[appState.pathIndex]?.slides || [];
+  const slideIndex = appState.slideIndex + delta;
+  if (slideIndex < 0 || slideIndex >= slides.length) return;
+
+  setState({ slideIndex, overlayIndex: null, finalState: false });
+}
+
+/**
+ * Handles the editor's keys: the arrow and page keys step between
+ * slides. Other keys that would advance the story do nothing.
+ *
+ * @param {KeyboardEvent} event
+ * @returns {boolean} true when the key was handled
+ */
+function handleEditorKey(event) {
+  if (appState.mode !== "RUNNING") return false;
+
+  if (event.key === "ArrowRight" || event.key === "PageDown") {
+    event.preventDefault();
+    stepEditorSlide(1);
+    return true;
+  }
+  if (event.key === "ArrowLeft" || event.key === "PageUp") {
+    event.preventDefault();
+    stepEditorSlide(-1);
+    return true;
+  }
+  return event.key === " " || event.key === "Enter";
+}
+
+/**
+ * Refreshes the toolbar: slide position, the selected overlay's box
+ * (or `box` while it is being dragged), and the download buttons.
+ *
+ * @param {{x: number, y: number, w: number, h: number}} [box]
+ */
+function updateEditorToolbar(box) {
+  const toolbar = editorState.toolbar;
+  if (!toolbar) return;
+
+  const pathDefinition = getPathsConfig()[appState.pathIndex];
+  toolbar.querySelector(".editor-position").textContent = pathDefinition
+    ? `${pathDefinition.title} ${appState.slideIndex + 1} / ${
+        pathDefinition.slides.length
+      }`
+    : "";
+
+  const definition = getEditorSlide()?.overlays?.[editorState.selected];
+  const shown = box || definition;
+  toolbar.querySelector(".editor-readout").textContent = definition
+    ? `${editorState.selected + 1} ${definition.type}  ${["x", "y", "w", "h"]
+        .map((key) => `${key} ${shown[key] ?? "–"}`)
+        .join("  ")}`
+    : "";
+
+  const downloads = toolbar.querySelector(".editor-downloads");
+  clearElement(downloads);
+  editorState.modified.forEach((file) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "editor-button";
+    button.textContent = `Download ${getEditorFileName(file)}`;
+    button.addEventListener("click", () => downloadEditorFile(file));
+    downloads.appendChild(button);
+  });
+}
+
+/**
+ * Saves one edited content file through the browser's download. Its
+ * button goes until the file is edited again.
+ *
+ * @param {string} file
+ */
+function downloadEditorFile(file) {
+  const text = `${JSON.stringify(editorState.files.get(file), null, 2)}\n`;
+  const href = URL.createObjectURL(
+    new Blob([text], { type: "application/json" })
+  );
+  const link = document.createElement("a");
+  link.href = href;
+  link.download = getEditorFileName(file);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(href), 0);
+
+  editorState.modified.delete(file);
+  updateEditorToolbar();
+}
+
+/**
+ * @param {string} file URL
+ * @returns {string} e.g. "bank.json"
+ */
+function getEditorFileName(file) {
+  return file.split(/[?#]/)[0].split("/").pop();
+}
+
+/**
+ * @param {number} value
+ * @returns {number} rounded to one decimal place
+ */
+function roundEditorValue(value) {
+  return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,257 @@
+/* quiz.js */
+
+// Quiz overlays: a multiple-choice question answered once per attempt,
+// with feedback per option and an optional branch on the answer. Answers
+// are kept per path (saved with the path's progress outside kiosk mode),
+// and a score overlay reports the result, e.g. on a path's last slide.
+
+// Answers by path slug, then by quiz key (see getQuizKey): the chosen
+// option's index. Loaded from saved progress on first use.
+const quizAnswers = new Map();
+
+/**
+ * Fills a quiz overlay's wrapper: the question, one button per option,
+ * then the chosen option's feedback and a button to continue. Until an
+ * option is chosen, clicking the stage does not move on.
+ *
+ * @param {HTMLElement} wrapper from createOverlayElement
+ * @param {Object} overlayDefinition
+ */
+function buildQuizOverlay(wrapper, overlayDefinition) {
+  const key = getQuizKey(
+    getPathsConfig()[appState.pathIndex]?.slides?.[appState.slideIndex],
+    appState.slideIndex,
+    overlayDefinition
+  );
+  const options = Array.isArray(overlayDefinition.options)
+    ? overlayDefinition.options
+    : [];
+
+  wrapper.setAttribute("role", "group");
+  const question = document.createElement("p");
+  question.className = "quiz-question";
+  question.textContent = overlayDefinition.question || "";
+  wrapper.setAttribute("aria-label", question.textContent);
+
+  const list = document.createElement("div");
+  list.className = "quiz-options";
+  const buttons = options.map((option, index) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "quiz-option";
+    button.textContent = option?.text || "";
+    button.addEventListener("click", () => {
+      recordQuizAnswer(key, index);
+      showAnswer(index);
+    });
+    list.appendChild(button);
+    return button;
+  });
+
+  const feedback = document.createElement("p");
+  feedback.className = "quiz-feedback";
+  feedback.setAttribute("aria-live", "polite");
+
+  const next = document.createElement("button");
+  next.type = "button";
+  next.className = "quiz-continue";
+  next.textContent = translate("ui.quizContinue");
+  next.hidden = true;
+  next.addEventListener("click", () => {
+    const chosen = options[getQuizAnswer(key)];
+    if (chosen?.goto) {
+      runOverlayAction("goto", chosen.goto);
+    } else {
+      runOverlayAction("next");
+    }
+  });
+
+  // Marks the chosen option, right or wrong, and locks the question.
+  const showAnswer = (chosenIndex) => {
+    const correct = chosenIndex === overlayDefinition.answer;
+    wrapper.classList.add("is-answered");
+    buttons.forEach((button, index) => {
+      button.disabled = true;
+      button.classList.toggle("is-chosen", index === chosenIndex);
+      button.classList.toggle("is-correct", index === overlayDefinition.answer);
+    });
+    feedback.classList.toggle("is-correct", correct);
+    feedback.textContent =
+      options[chosenIndex]?.feedback ||
+      translate(correct ? "ui.quizCorrect" : "ui.quizIncorrect");
+    next.hidden = false;
+  };
+
+  // Clicks inside the quiz never reach the stage.
+  const stopHandler = (event) => event.stopPropagation();
+  wrapper.addEventListener("click", stopHandler);
+  registerTeardownHandler(() =>
+    wrapper.removeEventListener("click", stopHandler)
+  );
+
+  wrapper.appendChild(question);
+  wrapper.appendChild(list);
+  wrapper.appendChild(feedback);
+  wrapper.appendChild(next);
+
+  // Answered earlier in this attempt: shown as answered.
+  const saved = getQuizAnswer(key);
+  if (typeof saved === "number") showAnswer(saved);
+}
+
+/**
+ * Fills a score overlay's wrapper with the result of the current path's
+ * quizzes, and whether it reaches `passMark` (a percentage) when set.
+ *
+ * @param {HTMLElement} wrapper from createOverlayElement
+ * @param {Object} overlayDefinition
+ */
+function buildScoreOverlay(wrapper, overlayDefinition) {
+  const { correct, total } = getQuizScore(appState.pathIndex);
+  const percent = total > 0 ? Math.round((correct / total) * 100) : 0;
+
+  const result = document.createElement("p");
+  result.className = "quiz-score";
+  result.textContent = translate("ui.quizScore", { correct, total, percent });
+  wrapper.appendChild(result);
+
+  if (typeof overlayDefinition.passMark === "number") {
+    const passed = percent >= overlayDefinition.passMark;
+    const verdict = document.createElement("p");
+    verdict.className = `quiz-verdict ${passed ? "is-passed" : "is-failed"}`;
+    verdict.textContent = translate(
+      passed ? "ui.quizPassed" : "ui.quizFailed",
+      { passMark: overlayDefinition.passMark }
+    );
+    wrapper.appendChild(verdict);
+  }
+}
+
+/**
+ * @param {Object|null} overlayDefinition
+ * @returns {boolean} true for a quiz on the current slide with no answer yet
+ */
+function isQuizUnanswered(overlayDefinition) {
+  if (overlayDefinition?.type !== "quiz") return false;
+  const key = getQuizKey(
+    getPathsConfig()[appState.pathIndex]?.slides?.[appState.slideIndex],
+    appState.slideIndex,
+    overlayDefinition
+  );
+  return typeof getQuizAnswer(key) !== "number";
+}
+
+/**
+ * @returns {boolean} true if a quiz of the current slide has no answer
+ *   yet, shown or still to come in its sequence, so the slide must not be
+ *   skipped by key or left by its timer
+ */
+function slideHasUnansweredQuiz() {
+  const slide =
+    getPathsConfig()[appState.pathIndex]?.slides?.[appState.slideIndex];
+  return (slide?.overlays || []).some(isQuizUnanswered);
+}
+
+/**
+ * Counts the current answers to a path's quizzes that are right.
+ *
+ * @param {number} pathIndex
+ * @returns {{correct: number, total: number}}
+ */
+function getQuizScore(pathIndex) {
+  const pathDefinition = getPathsConfig()[pathIndex];
+  const answers = getPathQuizAnswers(pathDefinition, pathIndex);
+  let correct = 0;
+  let total = 0;
+  (pathDefinition?.slides || []).forEach((slide, slideIndex) => {
+    (slide?.overlays || []).forEach((overlay) => {
+      if (overlay?.type !== "quiz") return;
+      total += 1;
+      if (answers[getQuizKey(slide, slideIndex, overlay)] === overlay.answer) {
+        correct += 1;
+      }
+    });
+  });
+  return { correct, total };
+}
+
+/**
+ * Names a quiz within its path: its `id`, or the slide (by `id` or 1-based
+ * number) and the quiz's 1-based place in the slide's overlays.
+ *
+ * @param {Object} slide
+ * @param {number} slideIndex
+ * @param {Object} overlayDefinition
+ * @returns {string} e.g. "bank-q1" or "wrap-up/2"
+ */
+function getQuizKey(slide, slideIndex, overlayDefinition) {
+  if (typeof overlayDefinition.id === "string") return overlayDefinition.id;
+  const overlayIndex = (slide?.overlays || []).indexOf(overlayDefinition);
+  return `${slide?.id || slideIndex + 1}/${overlayIndex + 1}`;
+}
+
+/**
+ * @param {string} key
+ * @returns {number|undefined} the chosen option on the current path
+ */
+function getQuizAnswer(key) {
+  const pathDefinition = getPathsConfig()[appState.pathIndex];
+  return getPathQuizAnswers(pathDefinition, appState.pathIndex)[key];
+}
+
+/**
+ * Records an answer on the current path. Saved with the path's progress,
+ * except in kiosk mode, where visitors are anonymous.
+ *
+ * @param {string} key
+ * @param {number} optionIndex
+ */
+function recordQuizAnswer(key, optionIndex) {
+  const pathDefinition = getPathsConfig()[appState.pathIndex];
+  const answers = getPathQuizAnswers(pathDefinition, appState.pathIndex);
+  answers[key] = optionIndex;
+  saveQuizAnswers(pathDefinition, appState.pathIndex, answers);
+}
+
+/**
+ * Forgets a path's answers, so starting it again is a new attempt.
+ *
+ * @param {number} pathIndex
+ */
+function clearQuizAnswers(pathIndex) {
+  const pathDefinition = getPathsConfig()[pathIndex];
+  if (!pathDefinition) return;
+  saveQuizAnswers(pathDefinition, pathIndex, {});
+}
+
+/**
+ * @param {Object} pathDefinition
+ * @param {number} pathIndex
+ * @returns {Object<string, number>} the path's answers, by quiz key
+ */
+function getPathQuizAnswers(pathDefinition, pathIndex) {
+  if (!pathDefinition) return {};
+  const slug = getPathSlug(pathDefinition, pathIndex);
+  if (!quizAnswers.has(slug)) {
+    const saved = appState.kiosk ? null : getSavedPathProgress(pathIndex);
+    quizAnswers.set(slug, { ...(saved?.answers || {}) });
+  }
+  return quizAnswers.get(slug);
+}
+
+/**
+ * @param {Object} pathDefinition
+ * @param {number} pathIndex
+ * @param {Object<string, number>} answers
+ */
+function saveQuizAnswers(pathDefinition, pathIndex, answers) {
+  const slug = getPathSlug(pathDefinition, pathIndex);
+  quizAnswers.set(slug, answers);
+  if (appState.kiosk) return;
+
+  const data = loadSavedProgress();
+  const paths = data.paths && typeof data.paths === "object" ? data.paths : {};
+  paths[slug] = { ...paths[slug], answers };
+  data.paths = paths;
+  saveSavedProgress(data);
+}
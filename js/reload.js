@@ -0,0 +1,183 @@
+/* reload.js */
+
+// Live reload, turned on with `?watch`. The content files are polled on
+// the local server; when one changes, the configuration is rebuilt and the
+// current slide re-rendered in place, keeping the path, slide and
+// sequential overlay position, so text tweaks show up without clicking
+// back through the path.
+
+const LIVE_RELOAD_INTERVAL = 1000; // ms between checks
+
+const liveReloadState = {
+  url: null, // manifest URL
+  versions: new Map(), // URL -> {etag, lastModified, body} last seen
+  status: null,
+};
+
+/**
+ * Starts watching the content files when the app was opened with
+ * `?watch`. Not available while authoring (`?edit`), where reloading
+ * would throw away edits.
+ *
+ * @param {string} url manifest URL
+ * @param {Map<string, *>} files from fetchSlidesFiles
+ */
+async function startLiveReload(url, files) {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has(APP_CONSTANTS.watchParam) || isEditorActive()) return;
+
+  liveReloadState.url = url;
+  // The first check records each file's version to compare against.
+  await checkLiveReloadFiles([...files.keys()]);
+  scheduleLiveReloadCheck();
+}
+
+/**
+ * Checks again after LIVE_RELOAD_INTERVAL. A plain timeout, not
+ * scheduleTimeout: watching goes on while the experience is paused, and
+ * the next check waits for the previous one to finish. A check that fails
+ * is reported and the next one still scheduled.
+ */
+function scheduleLiveReloadCheck() {
+  window.setTimeout(async () => {
+    try {
+      const urls = [...liveReloadState.versions.keys()];
+      if (await checkLiveReloadFiles(urls)) await reloadSlidesConfiguration();
+    } catch (error) {
+      showLiveReloadProblem(error);
+    } finally {
+      scheduleLiveReloadCheck();
+    }
+  }, LIVE_RELOAD_INTERVAL);
+}
+
+/**
+ * Asks the server whether each file has changed since it was last seen,
+ * with its ETag or Last-Modified date, so unchanged files answer
+ * "304 Not Modified" without a body. A server that sends neither is
+ * compared by content.
+ *
+ * @param {string[]} urls
+ * @returns {Promise<boolean>} true if any previously seen file changed
+ */
+async function checkLiveReloadFiles(urls) {
+  const results = await Promise.all(
+    urls.map(async (url) => {
+      const seen = liveReloadState.versions.get(url);
+      const headers = {};
+      if (seen?.etag) headers["If-None-Match"] = seen.etag;
+      if (seen?.lastModified) headers["If-Modified-Since"] = seen.lastModified;
+
+      let response;
+      try {
+        response = await fetch(url, { cache: "no-store", headers });
+      } catch {
+        return false; // Server briefly away; try again next time.
+      }
+      if (response.status === 304 || !response.ok) return false;
+
+      const version = {
+        etag: response.headers.get("ETag"),
+        lastModified: response.headers.get("Last-Modified"),
+        body: null,
+      };
+      if (!version.etag && !version.lastModified) {
+        version.body = await response.text();
+      }
+      liveReloadState.versions.set(url, version);
+      return (
+        !!seen &&
+        (seen.etag !== version.etag ||
+          seen.lastModified !== version.lastModified ||
+          seen.body !== version.body)
+      );
+    })
+  );
+  return results.includes(true);
+}
+
+/**
+ * Fetches and rebuilds the configuration, then re-renders in place. While
+ * the files have problems, they are listed in a panel and the last good
+ * build stays on stage.
+ */
+async function reloadSlidesConfiguration() {
+  let loaded;
+  try {
+    const files = await fetchSlidesFiles(liveReloadState.url);
+    loaded = buildSlidesConfiguration(liveReloadState.url, files, {
+      locale: appState.locale,
+    });
+    // Watch files added since the last build (e.g. a new path's $ref).
+    await checkLiveReloadFiles(
+      [...files.keys()].filter((url) => !liveReloadState.versions.has(url))
+    );
+  } catch (error) {
+    showLiveReloadProblem(error);
+    return;
+  }
+  showLiveReloadProblem(null);
+  showContentWarnings(loaded.warnings);
+
+  unlocalizedConfig = loaded.sourceConfig;
+  applyDocumentStrings();
+  const position = getReloadedPosition(loaded.config);
+  if (!position) {
+    appState.config = loaded.config;
+    returnToSplash({ replaceHistory: true });
+    return;
+  }
+  const wasPaused = appState.paused;
+  setState({ config: loaded.config, ...position }, { replaceHistory: true });
+  if (wasPaused) setPaused(true);
+}
+
+/**
+ * Keeps the current position where it still exists in the reloaded
+ * configuration: the same path and slide, or the last slide of a path
+ * that got shorter. The sequential overlay position is kept as is; the
+ * slide clamps it.
+ *
+ * @param {Object} config
+ * @returns {Object|null} partial state, or null if the current path is
+ *   gone and the viewer goes back to the splash
+ */
+function getReloadedPosition(config) {
+  if (appState.mode !== "RUNNING") return {};
+  const slides = config.paths?.[appState.pathIndex]?.slides;
+  if (!Array.isArray(slides) || slides.length === 0) return null;
+  if (appState.slideIndex < slides.length) return {};
+  return {
+    slideIndex: slides.length - 1,
+    overlayIndex: 0,
+    finalState: false,
+  };
+}
+
+/**
+ * Shows the problems that stopped a reload, or hides them.
+ *
+ * @param {Error|null} error
+ */
+function showLiveReloadProblem(error) {
+  if (!liveReloadState.status) {
+    if (!error) return;
+    liveReloadState.status = document.createElement("div");
+    liveReloadState.status.className = "error live-reload-status";
+    liveReloadState.status.setAttribute("role", "alert");
+    document.body.appendChild(liveReloadState.status);
+  }
+
+  const status = liveReloadState.status;
+  clearElement(status);
+  status.hidden = !error;
+  if (!error) return;
+
+  const text = document.createElement("p");
+  text.textContent = `Not reloaded: ${error.message}`;
+  status.appendChild(text);
+  if (error.report) {
+    status.appendChild(createProblemList(error.report.errors, "error"));
+  }
+  console.error(error.message, error.report?.errors || "");
+}
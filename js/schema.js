@@ -0,0 +1,607 @@
+/* schema.js */
+
+/**
+ * Schema for js/slides.json, checked when the app loads its configuration.
+ *
+ * Each object kind lists the fields it understands. A field rule may set:
+ *   type      "string" | "number" | "boolean" | "object" | "array" | "null",
+ *             or a list of them
+ *   required  the field must be present
+ *   enum      the allowed values
+ *   min/max   numeric bounds
+ *   kind      schema kind of a nested object
+ *   items     schema kind (or field rule) of each array entry
+ *   values    schema kind (or field rule) of each value in an object used
+ *             as a map
+ *
+ * Missing required fields, wrong types and unknown enum values are errors:
+ * the app would not behave as authored. Out-of-range numbers and unknown
+ * fields (usually typos) are warnings, since the app can still run.
+ */
+const SLIDES_SCHEMA = {
+  config: {
+    paths: { type: "array", required: true, items: "path" },
+    progress: { type: ["object", "boolean"], kind: "progress" },
+    kiosk: { type: "object", kind: "kiosk" },
+    autoplay: { type: "object", kind: "autoplay" },
+    presets: { type: "object" },
+    locales: { type: "object", values: "locale" },
+    defaultLocale: { type: "string" },
+    variables: { type: "object", values: { type: "string" } },
+  },
+  locale: {
+    label: { type: "string" },
+    strings: { type: "object" },
+  },
+  progress: {
+    counter: { type: "boolean" },
+    bar: { type: "boolean" },
+    steps: { type: "boolean" },
+  },
+  kiosk: {
+    enabled: { type: "boolean" },
+    idleTimeout: { type: "number", min: 0 },
+    attractInterval: { type: "number", min: 0 },
+    attractVideo: { type: ["string", "null"] },
+  },
+  autoplay: {
+    enabled: { type: "boolean" },
+    dwell: { type: "number", min: 0 },
+    loop: { type: "boolean" },
+  },
+  path: {
+    id: { type: "string" },
+    title: { type: "string", required: true },
+    image: { type: "string" },
+    requires: { type: "array", items: { type: "string" } },
+    progress: { type: ["object", "boolean"], kind: "progress" },
+    slides: { type: "array", required: true, items: "slide" },
+  },
+  slide: {
+    id: { type: "string" },
+    extends: { type: ["string", "array"], items: { type: "string" } },
+    base: { type: "object", required: true, kind: "base" },
+    advance: { type: "string", enum: ["click", "timer", "video-end"] },
+    duration: { type: "number", min: 0 },
+    preloadNext: { type: "boolean" },
+    sequential: { type: "boolean" },
+    dwell: { type: "number", min: 0 },
+    transition: { type: "object", kind: "slideTransition" },
+    overlays: { type: "array", items: "overlay" },
+  },
+  slideTransition: {
+    type: { type: "string", required: true, enum: ["crossfade", "none"] },
+    duration: { type: "number", min: 0 },
+    easing: { type: "string" },
+  },
+  base: {
+    type: { type: "string", required: true, enum: ["image", "video"] },
+    src: { type: "string", required: true },
+    alt: { type: "string" },
+    caption: { type: "string" },
+    controls: { type: "boolean" },
+    poster: { type: "string" },
+  },
+  overlay: {
+    type: {
+      type: "string",
+      required: true,
+      enum: [
+        "image",
+        "html",
+        "text",
+        "video",
+        "button",
+        "hotspot",
+        "sound",
+        "sprite",
+        "quiz",
+        "score",
+      ],
+    },
+    extends: { type: ["string", "array"], items: { type: "string" } },
+    x: { type: "number" },
+    y: { type: "number" },
+    w: { type: "number", min: 0 },
+    h: { type: "number", min: 0 },
+    persistent: { type: "boolean" },
+    showAt: { type: "number", min: 0 },
+    hideAt: { type: "number", min: 0 },
+    delay: { type: "number", min: 0 },
+    dwell: { type: "number", min: 0 },
+    autoAdvance: { type: "boolean" },
+    action: {
+      type: "string",
+      enum: ["next", "back", "skip", "goto", "path", "restart", "splash"],
+    },
+    target: { type: "string" },
+    classList: { type: "array", items: { type: "string" } },
+    enter: { type: "object", kind: "transition" },
+    exit: { type: "object", kind: "transition" },
+    html: { type: "string" },
+    src: { type: "string" },
+    alt: { type: "string" },
+    autoplay: { type: "boolean" },
+    loop: { type: "boolean" },
+    controls: { type: "boolean" },
+    playLabel: { type: "string" },
+    typewriter: { type: ["boolean", "object"], kind: "typewriter" },
+    id: { type: "string" },
+    question: { type: "string" },
+    options: { type: "array", items: "quizOption" },
+    answer: { type: "number", min: 0 },
+    passMark: { type: "number", min: 0, max: 100 },
+    challenge: { type: "object", kind: "challenge" },
+    frameWidth: { type: "number", min: 1 },
+    frameHeight: { type: "number", min: 1 },
+    frames: { type: "number", min: 1 },
+    columns: { type: "number", min: 1 },
+    fps: { type: "number", min: 1, max: 60 },
+    playOnce: { type: "boolean" },
+    segments: { type: "array", items: "spriteSegment" },
+    music: { type: "array", items: "music" },
+    sound: { type: "array", items: "sound" },
+  },
+  transition: {
+    type: { type: "string", required: true, enum: ["fade", "pop", "none"] },
+    duration: { type: "number", min: 0 },
+    easing: { type: "string" },
+    stagger: { type: "number", min: 0 },
+  },
+  quizOption: {
+    text: { type: "string", required: true },
+    feedback: { type: "string" },
+    goto: { type: "string" },
+  },
+  typewriter: {
+    cps: { type: "number", min: 1 },
+    sound: { type: "string" },
+  },
+  challenge: {
+    hint: { type: "string" },
+    sound: { type: "array", items: "sound" },
+    pulseAfter: { type: "number", min: 1 },
+  },
+  spriteSegment: {
+    from: { type: "number", min: 0 },
+    to: { type: "number", min: 0 },
+    repeat: { type: "number", min: 1 },
+    loop: { type: "boolean" },
+  },
+  music: {
+    src: { type: "string", required: true },
+    stopOthers: { type: "boolean" },
+    loop: { type: "boolean" },
+  },
+  sound: {
+    src: { type: "string", required: true },
+    loops: { type: "boolean" },
+    stopOthers: { type: "boolean" },
+  },
+};
+
+/**
+ * Checks a parsed slides.json against SLIDES_SCHEMA plus the rules that
+ * span several fields (e.g. timer slides need a `duration`).
+ *
+ * Problems are addressed by JSON pointer, e.g.
+ * `/paths/2/slides/5/overlays/1/hideAt`.
+ *
+ * @param {*} config
+ * @returns {{errors: Array<{pointer: string, message: string}>,
+ *   warnings: Array<{pointer: string, message: string}>}}
+ */
+function validateSlidesConfiguration(config) {
+  const report = { errors: [], warnings: [] };
+  const error = (pointer, message) => report.errors.push({ pointer, message });
+  const warn = (pointer, message) => report.warnings.push({ pointer, message });
+
+  if (getSchemaType(config) !== "object") {
+    error("", "must be a JSON object with a `paths` array");
+    return report;
+  }
+  validateSchemaObject(config, "config", "", error, warn);
+
+  if (!Array.isArray(config.paths)) return report;
+  if (config.paths.length === 0) error("/paths", "must list at least one path");
+
+  reportDuplicateIds(config.paths, "/paths", "path", warn);
+  reportUnknownRequirements(config.paths, warn);
+  config.paths.forEach((pathDefinition, pathIndex) => {
+    if (!Array.isArray(pathDefinition?.slides)) return;
+    const pathPointer = `/paths/${pathIndex}`;
+    if (pathDefinition.slides.length === 0) {
+      error(`${pathPointer}/slides`, "must list at least one slide");
+    }
+    reportDuplicateIds(
+      pathDefinition.slides,
+      `${pathPointer}/slides`,
+      "slide",
+      warn
+    );
+
+    pathDefinition.slides.forEach((slide, slideIndex) => {
+      if (getSchemaType(slide) !== "object") return;
+      const slidePointer = `${pathPointer}/slides/${slideIndex}`;
+      validateSlideRules(slide, slidePointer, error, warn);
+
+      if (!Array.isArray(slide.overlays)) return;
+      slide.overlays.forEach((overlay, overlayIndex) => {
+        if (getSchemaType(overlay) !== "object") return;
+        validateOverlayRules(
+          overlay,
+          `${slidePointer}/overlays/${overlayIndex}`,
+          error,
+          warn
+        );
+      });
+    });
+  });
+
+  return report;
+}
+
+/**
+ * Checks one object's fields against a schema kind, recursing into
+ * nested objects and arrays.
+ *
+ * @param {Object} value
+ * @param {string} kind key of SLIDES_SCHEMA
+ * @param {string} pointer
+ * @param {Function} error
+ * @param {Function} warn
+ */
+function validateSchemaObject(value, kind, pointer, error, warn) {
+  const fields = SLIDES_SCHEMA[kind];
+
+  Object.keys(fields).forEach((name) => {
+    const rule = fields[name];
+    const fieldPointer = `${pointer}/${escapeJsonPointer(name)}`;
+    if (value[name] === undefined) {
+      if (rule.required) error(fieldPointer, "is required");
+      return;
+    }
+    validateSchemaValue(value[name], rule, fieldPointer, error, warn);
+  });
+
+  Object.keys(value).forEach((name) => {
+    if (!(name in fields)) {
+      warn(`${pointer}/${escapeJsonPointer(name)}`, "is not a known field");
+    }
+  });
+}
+
+/**
+ * Checks a single value against a field rule.
+ *
+ * @param {*} value
+ * @param {Object} rule
+ * @param {string} pointer
+ * @param {Function} error
+ * @param {Function} warn
+ */
+function validateSchemaValue(value, rule, pointer, error, warn) {
+  const allowedTypes = [].concat(rule.type);
+  const actualType = getSchemaType(value);
+  if (!allowedTypes.includes(actualType)) {
+    error(pointer, `must be ${allowedTypes.join(" or ")}, found ${actualType}`);
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    const allowed = rule.enum.map((v) => JSON.stringify(v)).join(", ");
+    error(pointer, `must be one of ${allowed}, found ${JSON.stringify(value)}`);
+  }
+  if (
+    typeof rule.min === "number" &&
+    actualType === "number" &&
+    value < rule.min
+  ) {
+    warn(pointer, `should be at least ${rule.min}, found ${value}`);
+  }
+  if (
+    typeof rule.max === "number" &&
+    actualType === "number" &&
+    value > rule.max
+  ) {
+    warn(pointer, `should be at most ${rule.max}, found ${value}`);
+  }
+
+  if (rule.kind && actualType === "object") {
+    validateSchemaObject(value, rule.kind, pointer, error, warn);
+  }
+  if (rule.values && actualType === "object") {
+    const valueRule =
+      typeof rule.values === "string"
+        ? { type: "object", kind: rule.values }
+        : rule.values;
+    Object.keys(value).forEach((key) =>
+      validateSchemaValue(
+        value[key],
+        valueRule,
+        `${pointer}/${escapeJsonPointer(key)}`,
+        error,
+        warn
+      )
+    );
+  }
+  if (rule.items && actualType === "array") {
+    const itemRule =
+      typeof rule.items === "string"
+        ? { type: "object", kind: rule.items }
+        : rule.items;
+    value.forEach((item, index) =>
+      validateSchemaValue(item, itemRule, `${pointer}/${index}`, error, warn)
+    );
+  }
+}
+
+/**
+ * Slide rules that depend on more than one field.
+ *
+ * @param {Object} slide
+ * @param {string} pointer
+ * @param {Function} error
+ * @param {Function} warn
+ */
+function validateSlideRules(slide, pointer, error, warn) {
+  if (slide.advance === "timer" && typeof slide.duration !== "number") {
+    error(`${pointer}/duration`, 'is required when `advance` is "timer"');
+  }
+  if (slide.advance !== "timer" && slide.duration !== undefined) {
+    warn(`${pointer}/duration`, 'is ignored unless `advance` is "timer"');
+  }
+  if (slide.advance === "video-end" && slide.base?.type !== "video") {
+    error(
+      `${pointer}/advance`,
+      '"video-end" needs a video `base`; this slide would never advance'
+    );
+  }
+}
+
+/**
+ * Overlay rules that depend on more than one field.
+ *
+ * @param {Object} overlay
+ * @param {string} pointer
+ * @param {Function} error
+ * @param {Function} warn
+ */
+function validateOverlayRules(overlay, pointer, error, warn) {
+  const needsTarget = overlay.action === "goto" || overlay.action === "path";
+  if (needsTarget && typeof overlay.target !== "string") {
+    error(
+      `${pointer}/target`,
+      `is required for the "${overlay.action}" action`
+    );
+  }
+  if (!needsTarget && overlay.target !== undefined) {
+    warn(`${pointer}/target`, 'is ignored unless `action` is "goto" or "path"');
+  }
+
+  if (["image", "video", "sprite"].includes(overlay.type) && !overlay.src) {
+    error(`${pointer}/src`, `is required for ${overlay.type} overlays`);
+  }
+  if (overlay.type === "sprite") {
+    ["frameWidth", "frameHeight", "frames"].forEach((field) => {
+      if (typeof overlay[field] !== "number") {
+        error(`${pointer}/${field}`, "is required for sprite overlays");
+      }
+    });
+    const lastFrame = overlay.frames - 1;
+    (Array.isArray(overlay.segments) ? overlay.segments : []).forEach(
+      (segment, index) => {
+        ["from", "to"].forEach((field) => {
+          if (segment?.[field] > lastFrame) {
+            warn(
+              `${pointer}/segments/${index}/${field}`,
+              `is past the last frame (${lastFrame}); frames count from 0`
+            );
+          }
+        });
+      }
+    );
+  }
+  if (overlay.type === "quiz") {
+    if (!overlay.question) {
+      error(`${pointer}/question`, "is required for quiz overlays");
+    }
+    const optionCount = Array.isArray(overlay.options)
+      ? overlay.options.length
+      : 0;
+    if (optionCount < 2) {
+      error(`${pointer}/options`, "needs at least two options to choose from");
+    }
+    if (!Number.isInteger(overlay.answer) || overlay.answer >= optionCount) {
+      error(
+        `${pointer}/answer`,
+        "must be the number of an option, counting from 0"
+      );
+    }
+  }
+  if (
+    overlay.typewriter !== undefined &&
+    overlay.type !== "text" &&
+    overlay.type !== "html"
+  ) {
+    warn(
+      `${pointer}/typewriter`,
+      'is ignored unless `type` is "text" or "html"'
+    );
+  }
+  if (overlay.challenge !== undefined && overlay.type !== "hotspot") {
+    warn(`${pointer}/challenge`, 'is ignored unless `type` is "hotspot"');
+  }
+  if ((overlay.type === "html" || overlay.type === "text") && !overlay.html) {
+    warn(
+      `${pointer}/html`,
+      `is empty, so this ${overlay.type} overlay shows nothing`
+    );
+  }
+  if (overlay.type === "sound" && !overlay.music && !overlay.sound) {
+    warn(pointer, "sound overlay has no `music` or `sound` entries");
+  }
+
+  if (
+    typeof overlay.showAt === "number" &&
+    typeof overlay.hideAt === "number" &&
+    overlay.hideAt <= overlay.showAt
+  ) {
+    warn(
+      `${pointer}/hideAt`,
+      `should be later than showAt (${overlay.showAt}); the overlay never shows`
+    );
+  }
+}
+
+/**
+ * Warns about repeated `id`s; links and `goto` targets resolve to the
+ * first match only.
+ *
+ * @param {Array} entries
+ * @param {string} pointer
+ * @param {string} label "path" or "slide"
+ * @param {Function} warn
+ */
+function reportDuplicateIds(entries, pointer, label, warn) {
+  const seen = new Map();
+  entries.forEach((entry, index) => {
+    if (typeof entry?.id !== "string") return;
+    if (seen.has(entry.id)) {
+      warn(
+        `${pointer}/${index}/id`,
+        `duplicates the ${label} id at ${pointer}/${seen.get(entry.id)}`
+      );
+    } else {
+      seen.set(entry.id, index);
+    }
+  });
+}
+
+/**
+ * Rewrites report pointers as `file#pointer` so each problem names the
+ * file it is in. Paths and locales loaded from their own file (`$ref` in
+ * the manifest) are reported against that file, e.g.
+ * `/paths/0/slides/3/base` becomes `js/paths/bank.json#/slides/3/base`
+ * and `/locales/ja/label` becomes `js/locales/ja.json#/label`.
+ *
+ * @param {{errors: Array, warnings: Array}} report
+ * @param {string} manifestFile
+ * @param {Array<string|undefined>} pathFiles source file of each path,
+ *   by index (undefined for paths written inline in the manifest)
+ * @param {Object<string, string>} [localeFiles] source file of each
+ *   locale, by language code (missing for inline locales)
+ * @returns {{errors: Array, warnings: Array}}
+ */
+function locateReportProblems(report, manifestFile, pathFiles, localeFiles) {
+  const locate = ({ pointer, message }) => {
+    const match = /^\/(paths|locales)\/([^/]+)(\/.*)?$/.exec(pointer);
+    const file =
+      match &&
+      (match[1] === "paths"
+        ? pathFiles[Number(match[2])]
+        : localeFiles?.[unescapeJsonPointer(match[2])]);
+    return file
+      ? { pointer: `${file}#${match[3] || ""}`, message }
+      : { pointer: `${manifestFile}#${pointer}`, message };
+  };
+  return {
+    errors: report.errors.map(locate),
+    warnings: report.warnings.map(locate),
+  };
+}
+
+/**
+ * JSON type name of a value, distinguishing arrays and null from objects.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function getSchemaType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+/**
+ * Warns about `requires` entries that name no path; the app ignores them,
+ * so a typo would leave the path unlocked.
+ *
+ * @param {Array} paths
+ * @param {Function} warn
+ */
+function reportUnknownRequirements(paths, warn) {
+  paths.forEach((pathDefinition, pathIndex) => {
+    if (!Array.isArray(pathDefinition?.requires)) return;
+    pathDefinition.requires.forEach((reference, index) => {
+      if (paths.some((other) => pathMatchesReference(other, reference))) return;
+      warn(
+        `/paths/${pathIndex}/requires/${index}`,
+        `names no path; use a path's \`id\` or \`title\``
+      );
+    });
+  });
+}
+
+/**
+ * Whether a path reference (a `requires` entry or a `path` action target)
+ * names a path: by its `id`, its `title`, or the URL name made from the
+ * title (see slugifyPathTitle), ignoring case.
+ *
+ * @param {Object} pathDefinition
+ * @param {*} reference
+ * @returns {boolean}
+ */
+function pathMatchesReference(pathDefinition, reference) {
+  if (typeof reference !== "string" || !reference) return false;
+  const wanted = reference.toLowerCase();
+  const id = typeof pathDefinition?.id === "string" ? pathDefinition.id : "";
+  const title =
+    typeof pathDefinition?.title === "string" ? pathDefinition.title : "";
+  return (
+    (!!id && id.toLowerCase() === wanted) ||
+    (!!title &&
+      (title.toLowerCase() === wanted || slugifyPathTitle(title) === wanted))
+  );
+}
+
+/**
+ * @param {string} title
+ * @returns {string} the title as a URL name, e.g. "plan-a-trip"
+ */
+function slugifyPathTitle(title) {
+  return String(title || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * Escapes a key for use as a JSON pointer segment (RFC 6901).
+ *
+ * @param {string} key
+ * @returns {string}
+ */
+function escapeJsonPointer(key) {
+  return String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * @param {string} segment a JSON pointer segment
+ * @returns {string} the key it names
+ */
+function unescapeJsonPointer(segment) {
+  return segment.replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+// Shared with the Node tools, so the linter reports the same problems, at
+// the same pointers, as the app.
+if (typeof module === "object" && module.exports) {
+  module.exports = {
+    SLIDES_SCHEMA,
+    validateSlidesConfiguration,
+    locateReportProblems,
+    escapeJsonPointer,
+    pathMatchesReference,
+  };
+}
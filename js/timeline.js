@@ -0,0 +1,280 @@
+/* timeline.js */
+
+// Slide timeline, shown under the stage together with the debug HUD. It
+// draws when each overlay of the current slide is visible and when sounds
+// play, with a playhead for the slide time and a scrubber that seeks the
+// slide there (see seekSlide), so timing can be checked without waiting.
+
+const TIMELINE_MIN_LENGTH = 5000; // ms
+const TIMELINE_TAIL = 1000; // ms shown after the last timed event
+const TIMELINE_STEP = 100; // ms, scrubber resolution
+
+const timelineState = {
+  element: null,
+  key: "", // slide and length the tracks were drawn for
+  config: null, // configuration the tracks were drawn from
+  length: 0,
+  scrubbing: false,
+};
+
+/**
+ * Shows or hides the timeline. Never shown while authoring (`?edit`).
+ *
+ * @param {boolean} visible
+ */
+function setTimelineVisible(visible) {
+  const shown = visible && !isEditorActive();
+  if (!timelineState.element) {
+    if (!shown) return;
+    timelineState.element = createTimeline();
+    document.body.appendChild(timelineState.element);
+  }
+  timelineState.element.hidden = !shown;
+  document.body.classList.toggle("has-timeline", shown);
+  timelineState.key = "";
+  refreshTimeline();
+}
+
+/**
+ * @returns {HTMLElement}
+ */
+function createTimeline() {
+  const timeline = document.createElement("section");
+  timeline.className = "timeline";
+  timeline.setAttribute("aria-label", "Slide timeline");
+
+  const header = document.createElement("div");
+  header.className = "timeline-header";
+  const readout = document.createElement("span");
+  readout.className = "timeline-readout";
+  const scrubber = document.createElement("input");
+  scrubber.type = "range";
+  scrubber.className = "timeline-scrubber";
+  scrubber.min = "0";
+  scrubber.step = String(TIMELINE_STEP);
+  scrubber.setAttribute("aria-label", "Seek slide");
+  header.appendChild(readout);
+  header.appendChild(scrubber);
+
+  // Seek once the scrubber is let go: every seek re-renders the slide.
+  scrubber.addEventListener("pointerdown", () => {
+    timelineState.scrubbing = true;
+  });
+  scrubber.addEventListener("input", () => {
+    timelineState.scrubbing = true;
+    readout.textContent = formatDebugSeconds(Number(scrubber.value) / 1000);
+  });
+  scrubber.addEventListener("change", () => {
+    timelineState.scrubbing = false;
+    seekSlide(Number(scrubber.value));
+  });
+
+  // The playhead runs over every track, in a lane beside the labels.
+  const body = document.createElement("div");
+  body.className = "timeline-body";
+  const tracks = document.createElement("div");
+  tracks.className = "timeline-tracks";
+  const lane = document.createElement("div");
+  lane.className = "timeline-lane";
+  const playhead = document.createElement("div");
+  playhead.className = "timeline-playhead";
+  lane.appendChild(playhead);
+  body.appendChild(tracks);
+  body.appendChild(lane);
+
+  timeline.appendChild(header);
+  timeline.appendChild(body);
+  return timeline;
+}
+
+/**
+ * Moves the playhead, and redraws the tracks when the slide (or what is
+ * known about its length) has changed. Called from the HUD's refresh.
+ */
+function refreshTimeline() {
+  const timeline = timelineState.element;
+  if (!timeline || timeline.hidden) return;
+
+  const slide = getTimelineSlide();
+  const video = getStageRoot().querySelector("video.stage-media");
+  const length = slide ? getTimelineLength(slide, video) : 0;
+  const key = slide
+    ? `${appState.pathIndex}/${appState.slideIndex}/${length}`
+    : "";
+  if (key !== timelineState.key || timelineState.config !== appState.config) {
+    timelineState.key = key;
+    timelineState.config = appState.config;
+    timelineState.length = length;
+    buildTimelineTracks(timeline, slide, video);
+  }
+
+  const scrubber = timeline.querySelector(".timeline-scrubber");
+  const readout = timeline.querySelector(".timeline-readout");
+  const playhead = timeline.querySelector(".timeline-playhead");
+  scrubber.disabled = !slide;
+  playhead.hidden = !slide;
+  if (!slide) {
+    readout.textContent = "no slide";
+    return;
+  }
+
+  const elapsed = Math.min(getSlideElapsed(), length);
+  playhead.style.left = toTimelinePercent(elapsed);
+  if (!timelineState.scrubbing) {
+    scrubber.value = String(elapsed);
+    readout.textContent = `${formatDebugSeconds(
+      elapsed / 1000
+    )} / ${formatDebugSeconds(length / 1000)}`;
+  }
+}
+
+/**
+ * Draws one row for the base media and one per overlay.
+ *
+ * @param {HTMLElement} timeline
+ * @param {Object|null} slide
+ * @param {HTMLVideoElement|null} video
+ */
+function buildTimelineTracks(timeline, slide, video) {
+  const tracks = timeline.querySelector(".timeline-tracks");
+  clearElement(tracks);
+  timeline.querySelector(".timeline-scrubber").max = String(
+    timelineState.length
+  );
+  if (!slide) return;
+
+  const length = timelineState.length;
+  const baseLabel = `base ${slide.base?.type || "none"}`;
+  const baseTrack = addTimelineRow(tracks, baseLabel);
+  if (video && Number.isFinite(video.duration)) {
+    baseTrack.appendChild(createTimelineBar(0, video.duration * 1000, "video"));
+  }
+  if (slide.advance === "timer" && typeof slide.duration === "number") {
+    baseTrack.appendChild(createTimelineCue(slide.duration, "advance"));
+  }
+
+  const sequenceDefs = getSequentialOverlayDefinitions(slide);
+  (slide.overlays || []).forEach((overlay) => {
+    if (!overlay) return;
+    const track = addTimelineRow(tracks, describeOverlay(overlay));
+
+    if (overlay.type === "sound") {
+      track.appendChild(createTimelineCue(overlay.delay || 0, "sound"));
+    } else if (
+      overlay === sequenceDefs[0] &&
+      overlay.autoAdvance !== true &&
+      typeof overlay.delay === "number"
+    ) {
+      // The first step's pre-show delay runs from the start of the slide.
+      track.appendChild(createTimelineBar(overlay.delay, length, "visible"));
+    } else if (sequenceDefs.includes(overlay)) {
+      // Shown by clicking through the sequence, not by time.
+      const note = document.createElement("span");
+      note.className = "timeline-note";
+      note.textContent = "on click";
+      track.appendChild(note);
+    } else {
+      const start = typeof overlay.showAt === "number" ? overlay.showAt : 0;
+      const end = typeof overlay.hideAt === "number" ? overlay.hideAt : length;
+      track.appendChild(createTimelineBar(start, end, "visible"));
+      if (overlay.music?.length || overlay.sound?.length) {
+        track.appendChild(createTimelineCue(start, "sound"));
+      }
+    }
+  });
+}
+
+/**
+ * Adds a labelled row to the tracks.
+ *
+ * @param {HTMLElement} tracks
+ * @param {string} label
+ * @returns {HTMLElement} the row's empty track, for bars and cues
+ */
+function addTimelineRow(tracks, label) {
+  const row = document.createElement("div");
+  row.className = "timeline-row";
+  const name = document.createElement("span");
+  name.className = "timeline-label";
+  name.textContent = label;
+  const track = document.createElement("span");
+  track.className = "timeline-track";
+  row.appendChild(name);
+  row.appendChild(track);
+  tracks.appendChild(row);
+  return track;
+}
+
+/**
+ * @param {number} start ms
+ * @param {number} end ms
+ * @param {string} kind "visible" or "video"
+ * @returns {HTMLElement}
+ */
+function createTimelineBar(start, end, kind) {
+  const bar = document.createElement("span");
+  bar.className = `timeline-bar timeline-bar--${kind}`;
+  bar.style.left = toTimelinePercent(start);
+  bar.style.width = toTimelinePercent(Math.max(end - start, 0));
+  bar.title = `${formatDebugSeconds(start / 1000)} – ${formatDebugSeconds(
+    end / 1000
+  )}`;
+  return bar;
+}
+
+/**
+ * @param {number} time ms
+ * @param {string} kind "sound" or "advance"
+ * @returns {HTMLElement}
+ */
+function createTimelineCue(time, kind) {
+  const cue = document.createElement("span");
+  cue.className = `timeline-cue timeline-cue--${kind}`;
+  cue.style.left = toTimelinePercent(time);
+  cue.title = `${kind} at ${formatDebugSeconds(time / 1000)}`;
+  return cue;
+}
+
+/**
+ * @param {number} time ms
+ * @returns {string} CSS percentage of the timeline's length
+ */
+function toTimelinePercent(time) {
+  const length = timelineState.length || 1;
+  return `${(Math.min(Math.max(time, 0), length) / length) * 100}%`;
+}
+
+/**
+ * Long enough for the base video, the timer advance and every timed
+ * overlay event, plus a little after the last one.
+ *
+ * @param {Object} slide
+ * @param {HTMLVideoElement|null} video
+ * @returns {number} ms
+ */
+function getTimelineLength(slide, video) {
+  const times = [TIMELINE_MIN_LENGTH];
+  if (video && Number.isFinite(video.duration)) {
+    times.push(video.duration * 1000);
+  }
+  if (slide.advance === "timer" && typeof slide.duration === "number") {
+    times.push(slide.duration);
+  }
+  (slide.overlays || []).forEach((overlay) => {
+    ["showAt", "hideAt", "delay"].forEach((field) => {
+      if (typeof overlay?.[field] === "number") {
+        times.push(overlay[field] + TIMELINE_TAIL);
+      }
+    });
+  });
+  return Math.ceil(Math.max(...times) / TIMELINE_STEP) * TIMELINE_STEP;
+}
+
+/**
+ * @returns {Object|null} the slide on stage, or null on the splash
+ */
+function getTimelineSlide() {
+  if (appState.mode !== "RUNNING") return null;
+  const pathDefinition = getPathsConfig()[appState.pathIndex];
+  return pathDefinition?.slides?.[appState.slideIndex] || null;
+}
@@ -0,0 +1,138 @@
+/* typewriter.js */
+
+// Typewriter reveal for text and html overlays with `typewriter`: the
+// text is typed in a character at a time, inside its markup, with an
+// optional typing sound looped until it is done. As in visual-novel
+// games, a click while the text is typing completes it; the next click
+// moves on.
+
+const TYPEWRITER_CPS = 30; // characters per second unless set
+
+// Overlays typing right now: wrapper -> function that completes it.
+const activeTypewriters = new Map();
+
+/**
+ * Types in a text or html overlay's content. Called from
+ * createOverlayElement once the wrapper holds the content. Time only
+ * passes while the overlay is visible and the experience is not paused.
+ * On a slide shown in its final state, or for viewers who prefer reduced
+ * motion, the text is shown at once.
+ *
+ * @param {HTMLElement} wrapper
+ * @param {Object} overlayDefinition
+ */
+function startTypewriter(wrapper, overlayDefinition) {
+  const options =
+    typeof overlayDefinition.typewriter === "object"
+      ? overlayDefinition.typewriter
+      : {};
+  const cps = options.cps > 0 ? options.cps : TYPEWRITER_CPS;
+
+  // Every text node with its full text, typed back in document order.
+  const walker = document.createTreeWalker(wrapper, NodeFilter.SHOW_TEXT);
+  const nodes = [];
+  while (walker.nextNode()) {
+    nodes.push({
+      node: walker.currentNode,
+      text: walker.currentNode.nodeValue,
+    });
+  }
+  const total = nodes.reduce((sum, { text }) => sum + text.length, 0);
+
+  const reducedMotion = window.matchMedia?.(
+    "(prefers-reduced-motion: reduce)"
+  ).matches;
+  if (total === 0 || appState.finalState || reducedMotion) return;
+
+  const showCharacters = (count) => {
+    let left = count;
+    nodes.forEach(({ node, text }) => {
+      node.nodeValue = text.slice(0, Math.max(left, 0));
+      left -= text.length;
+    });
+  };
+
+  let typeTime = 0;
+  let lastTimestamp = null;
+  let requestId = null;
+  let audio = null;
+  let soundStarted = false;
+
+  const stop = () => {
+    if (requestId !== null) window.cancelAnimationFrame(requestId);
+    requestId = null;
+    activeTypewriters.delete(wrapper);
+    wrapper.classList.remove("is-typing");
+    if (audio) {
+      // Not to be resumed by setPaused either.
+      pausedMediaElements.delete(audio);
+      stopSound(audio);
+      audio = null;
+    }
+  };
+  const complete = () => {
+    stop();
+    showCharacters(total);
+  };
+
+  const step = (timestamp) => {
+    requestId = null;
+    // Taken off the stage (e.g. the next sequential overlay).
+    if (!wrapper.isConnected) {
+      stop();
+      return;
+    }
+
+    const hidden = wrapper.style.visibility === "hidden";
+    if (lastTimestamp !== null && !appState.paused && !hidden) {
+      // Capped so a backgrounded tab doesn't skip ahead on return.
+      typeTime += Math.min(timestamp - lastTimestamp, 100);
+    }
+    lastTimestamp = timestamp;
+
+    // The sound starts with the typing, once the overlay is visible.
+    if (!soundStarted && !hidden && !appState.paused) {
+      soundStarted = true;
+      audio = playSound(getOrCreateSoundAudio(options.sound), { loop: true });
+    }
+
+    const count = Math.floor((typeTime * cps) / 1000);
+    if (count >= total) {
+      complete();
+      return;
+    }
+    showCharacters(count);
+    requestId = window.requestAnimationFrame(step);
+  };
+
+  showCharacters(0);
+  wrapper.classList.add("is-typing");
+  activeTypewriters.set(wrapper, complete);
+  requestId = window.requestAnimationFrame(step);
+  registerTeardownHandler(stop);
+}
+
+/**
+ * Completes the text of every overlay that is typing on screen. Stage
+ * clicks and the next-slide keys call this first and only move on when
+ * nothing was typing.
+ *
+ * @returns {boolean} true if some text was completed
+ */
+function completeTypewriters() {
+  const typing = [...activeTypewriters].filter(
+    ([wrapper]) => wrapper.style.visibility !== "hidden"
+  );
+  typing.forEach(([, complete]) => complete());
+  return typing.length > 0;
+}
+
+/**
+ * Shows an overlay's text in full at once, e.g. when it is shown again
+ * after stepping back through a sequence.
+ *
+ * @param {HTMLElement} wrapper
+ */
+function completeTypewriter(wrapper) {
+  activeTypewriters.get(wrapper)?.();
+}
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/* check-content.js */
+
+/**
+ * Self-check for the content pipeline shared by the app and
+ * tools/lint-slides.js: preset expansion, localization, personalization
+ * (js/content.js), then validation and problem pointers (js/schema.js).
+ * Run it after changing either file:
+ *
+ *   node tools/check-content.js
+ *
+ * Each check builds a small configuration in memory, so it does not
+ * depend on the shipped content. Prints one line per check and exits
+ * with 1 if any fails.
+ */
+
+const assert = require("assert");
+const {
+  applyContentPresets,
+  localizeContent,
+  personalizeContent,
+} = require("../js/content.js");
+const {
+  validateSlidesConfiguration,
+  locateReportProblems,
+  escapeJsonPointer,
+} = require("../js/schema.js");
+
+const checks = [];
+
+/**
+ * @param {string} name
+ * @param {Function} run throws when the check fails
+ */
+function check(name, run) {
+  checks.push({ name, run });
+}
+
+/**
+ * A valid configuration with one path of one slide, and the given
+ * extra top-level fields and overlays.
+ *
+ * @param {Object} [fields]
+ * @param {Array} [overlays]
+ * @returns {Object}
+ */
+function makeConfig(fields = {}, overlays = []) {
+  return {
+    paths: [
+      {
+        id: "bank",
+        title: "Bank",
+        slides: [
+          {
+            base: { type: "image", src: "media/images/bank.png" },
+            advance: "click",
+            overlays,
+          },
+        ],
+      },
+    ],
+    ...fields,
+  };
+}
+
+/**
+ * @param {Array<{pointer: string}>} problems
+ * @returns {string[]}
+ */
+function pointersOf(problems) {
+  return problems.map(({ pointer }) => pointer);
+}
+
+check("presets merge deeply, the overlay's own fields winning", () => {
+  const config = makeConfig(
+    {
+      presets: {
+        box: { type: "text", x: 10, y: 10, w: 50, h: 20 },
+        wide: { extends: "box", w: 80 },
+      },
+    },
+    [{ extends: "wide", html: "Hi", y: 30 }]
+  );
+  assert.deepStrictEqual(applyContentPresets(config), []);
+  assert.deepStrictEqual(config.paths[0].slides[0].overlays[0], {
+    type: "text",
+    x: 10,
+    y: 30,
+    w: 80,
+    h: 20,
+    html: "Hi",
+  });
+});
+
+check("unknown and cyclic presets are reported by pointer", () => {
+  const config = makeConfig(
+    { presets: { a: { extends: "b" }, b: { extends: "a" } } },
+    [{ extends: "missing" }, { extends: "a" }]
+  );
+  assert.deepStrictEqual(pointersOf(applyContentPresets(config)), [
+    "/paths/0/slides/0/overlays/0/extends",
+    "/presets/b/extends",
+  ]);
+});
+
+check(
+  "strings fall back to the default locale, missing keys are listed",
+  () => {
+    const config = makeConfig(
+      {
+        locales: {
+          en: { strings: { hello: "Hello", bye: "Bye" } },
+          ja: { strings: { hello: "こんにちは" } },
+        },
+      },
+      [
+        { type: "text", html: { $t: "hello" } },
+        { type: "text", html: { $t: "bye" } },
+        { type: "text", html: { $t: "nope" } },
+      ]
+    );
+    const {
+      config: localized,
+      missing,
+      fallbacks,
+    } = localizeContent(config, "ja");
+    const overlays = localized.paths[0].slides[0].overlays;
+    assert.deepStrictEqual(
+      overlays.map(({ html }) => html),
+      ["こんにちは", "Bye", "nope"]
+    );
+    assert.deepStrictEqual(pointersOf(fallbacks), [
+      "/paths/0/slides/0/overlays/1/html",
+    ]);
+    assert.deepStrictEqual(pointersOf(missing), [
+      "/paths/0/slides/0/overlays/2/html",
+    ]);
+  }
+);
+
+check("tokens are filled escaped in html, and unfilled ones listed", () => {
+  const config = makeConfig({}, [
+    { type: "text", html: "<p>Hi {{contact}} from {{company}}</p>" },
+  ]);
+  const unfilled = personalizeContent(config, { contact: "<b>Dana</b>" });
+  assert.strictEqual(
+    config.paths[0].slides[0].overlays[0].html,
+    "<p>Hi &lt;b&gt;Dana&lt;/b&gt; from </p>"
+  );
+  assert.deepStrictEqual(unfilled, [
+    { pointer: "/paths/0/slides/0/overlays/0/html", name: "company" },
+  ]);
+});
+
+check("a valid configuration has no problems", () => {
+  const report = validateSlidesConfiguration(makeConfig());
+  assert.deepStrictEqual(report, { errors: [], warnings: [] });
+});
+
+check("problems are addressed by pointer, with keys escaped", () => {
+  const config = makeConfig();
+  config.paths[0].slides[0].advance = "clik";
+  config.paths[0].slides[0]["a/b~c"] = true;
+  const report = validateSlidesConfiguration(config);
+  assert.deepStrictEqual(pointersOf(report.errors), [
+    "/paths/0/slides/0/advance",
+  ]);
+  assert.deepStrictEqual(pointersOf(report.warnings), [
+    "/paths/0/slides/0/a~1b~0c",
+  ]);
+  assert.strictEqual(escapeJsonPointer("a/b~c"), "a~1b~0c");
+});
+
+check("problems are located in the file they come from", () => {
+  const report = {
+    errors: [
+      { pointer: "/paths/0/slides/2/base", message: "in a path file" },
+      { pointer: "/paths/1/title", message: "inline" },
+    ],
+    warnings: [
+      { pointer: "/locales/pt~1br/label", message: "in a locale file" },
+      { pointer: "/locales/en/label", message: "inline locale" },
+      { pointer: "/variables", message: "top level" },
+    ],
+  };
+  const located = locateReportProblems(
+    report,
+    "js/slides.json",
+    ["js/paths/bank.json", undefined],
+    { "pt/br": "js/locales/pt-br.json" }
+  );
+  assert.deepStrictEqual(pointersOf(located.errors), [
+    "js/paths/bank.json#/slides/2/base",
+    "js/slides.json#/paths/1/title",
+  ]);
+  assert.deepStrictEqual(pointersOf(located.warnings), [
+    "js/locales/pt-br.json#/label",
+    "js/slides.json#/locales/en/label",
+    "js/slides.json#/variables",
+  ]);
+});
+
+let failed = 0;
+checks.forEach(({ name, run }) => {
+  try {
+    run();
+    console.log(`ok      ${name}`);
+  } catch (error) {
+    failed += 1;
+    console.log(`FAILED  ${name}\n${error.message}\n`);
+  }
+});
+console.log(`\n${checks.length - failed} of ${checks.length} check(s) passed`);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,487 @@
+#!/usr/bin/env node
+/* lint-slides.js */
+
+/**
+ * Offline content linter for js/slides.json. Run it from anywhere before
+ * publishing:
+ *
+ *   node tools/lint-slides.js [path/to/slides.json] [--strict]
+ *
+ * Path and locale files referenced from the manifest with `$ref` are
+ * loaded and checked too, and problems are reported against the file they
+ * are in. Presets are expanded and the content is localized for the
+ * default locale first (js/content.js), as the app does; strings missing
+ * from that locale are errors, and strings another locale borrows from
+ * it are warnings. `{{name}}` tokens are filled from `variables`, and
+ * tokens with no default there are warnings.
+ *
+ * It runs the same schema checks as the app (js/schema.js), then checks
+ * the content against the files on disk:
+ * - every `src`, `image` and `poster` (and kiosk `attractVideo`, typewriter
+ *   `sound`) exists, including the per-locale overrides under `lang`
+ * - overlays whose `x + w` or `y + h` go past the stage edge (100)
+ * - sequential slides whose overlay `delay` outlasts the base video
+ * - files under media/ that nothing references
+ *
+ * Media paths are resolved from the site root (the folder holding
+ * index.html). Exits with 1 when there are errors, or with --strict when
+ * there are warnings; otherwise 0.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  validateSlidesConfiguration,
+  locateReportProblems,
+  escapeJsonPointer,
+} = require("../js/schema.js");
+const {
+  applyContentPresets,
+  localizeContent,
+  personalizeContent,
+  getDefaultLocale,
+} = require("../js/content.js");
+
+const SITE_ROOT = path.resolve(__dirname, "..");
+const DEFAULT_CONFIG = path.join(SITE_ROOT, "js", "slides.json");
+const MEDIA_DIR = "media";
+
+// The page that loads the app; it and the scripts and stylesheets it
+// links can load media themselves.
+const SHELL_PAGE = "index.html";
+
+// Local scripts and stylesheets linked from the shell page.
+const SHELL_ASSET_PATTERN =
+  /<(?:script[^>]*\ssrc|link[^>]*\shref)="(?![a-z]+:|\/\/)([^"]+)"/gi;
+
+// Matches media paths mentioned anywhere in text (markup, CSS, scripts).
+const MEDIA_REFERENCE_PATTERN = /media\/[^"'()\s<>]+/g;
+
+/**
+ * Runs the linter and returns the process exit code.
+ *
+ * @param {string[]} args command-line arguments
+ * @returns {number}
+ */
+function main(args) {
+  const strict = args.includes("--strict");
+  const configArg = args.find((arg) => !arg.startsWith("--"));
+  const configFile = configArg ? path.resolve(configArg) : DEFAULT_CONFIG;
+
+  let sourceConfig;
+  const pathFiles = [];
+  const localeFiles = {};
+  try {
+    sourceConfig = readJsonFile(configFile);
+    const resolveEntry = (entry, files, key) => {
+      if (typeof entry?.$ref !== "string") return entry;
+      const { $ref, ...overrides } = entry;
+      files[key] = path.resolve(path.dirname(configFile), $ref);
+      return { ...readJsonFile(files[key]), ...overrides };
+    };
+    if (Array.isArray(sourceConfig?.paths)) {
+      sourceConfig.paths = sourceConfig.paths.map((entry, index) =>
+        resolveEntry(entry, pathFiles, index)
+      );
+    }
+    if (sourceConfig?.locales && typeof sourceConfig.locales === "object") {
+      Object.keys(sourceConfig.locales).forEach((locale) => {
+        sourceConfig.locales[locale] = resolveEntry(
+          sourceConfig.locales[locale],
+          localeFiles,
+          locale
+        );
+      });
+    }
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+
+  const presetErrors = applyContentPresets(sourceConfig);
+  const defaultLocale = getDefaultLocale(sourceConfig);
+  const localized = localizeContent(sourceConfig, defaultLocale);
+  const config = localized.config;
+  const unfilled = personalizeContent(config, sourceConfig?.variables || {});
+  let report = validateSlidesConfiguration(config);
+  report.errors.unshift(...presetErrors);
+  unfilled.forEach(({ pointer, name }) => {
+    report.warnings.push({
+      pointer,
+      message: `{{${name}}} has no default in \`variables\``,
+    });
+  });
+  if (Array.isArray(config?.paths)) {
+    checkLocaleStrings(sourceConfig, localized, report);
+    // Checked before localizing, so every locale's overrides are covered.
+    checkMediaFiles(sourceConfig, report);
+    checkOverlayBoxes(config, report);
+    checkSequentialDelays(config, report);
+  }
+  report = locateReportProblems(
+    report,
+    toSitePath(configFile),
+    pathFiles.map((file) => file && toSitePath(file)),
+    Object.fromEntries(
+      Object.entries(localeFiles).map(([locale, file]) => [
+        locale,
+        toSitePath(file),
+      ])
+    )
+  );
+  if (Array.isArray(config?.paths)) {
+    checkUnusedMedia(
+      [configFile, ...pathFiles, ...Object.values(localeFiles)].filter(Boolean),
+      report
+    );
+  }
+
+  printReport(toSitePath(configFile), report);
+
+  if (report.errors.length > 0) return 1;
+  if (strict && report.warnings.length > 0) return 1;
+  return 0;
+}
+
+/**
+ * Reads and parses a JSON file, with errors that name the file.
+ *
+ * @param {string} file
+ * @returns {*}
+ */
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    throw new Error(`${toSitePath(file)}: ${error.message}`);
+  }
+}
+
+/**
+ * Reports `$t` strings missing from the default locale as errors, and
+ * strings each other locale leaves to the default as warnings.
+ *
+ * @param {Object} sourceConfig configuration before localization
+ * @param {{missing: Array, fallbacks: Array}} localized result for the
+ *   default locale
+ * @param {{errors: Array, warnings: Array}} report
+ */
+function checkLocaleStrings(sourceConfig, localized, report) {
+  const defaultLocale = getDefaultLocale(sourceConfig);
+  localized.missing.forEach(({ pointer, key }) => {
+    report.errors.push({
+      pointer,
+      message: `string "${key}" is not in the "${defaultLocale}" table`,
+    });
+  });
+
+  Object.keys(sourceConfig.locales || {})
+    .filter((locale) => locale !== defaultLocale)
+    .forEach((locale) => {
+      const { fallbacks } = localizeContent(sourceConfig, locale);
+      fallbacks.forEach(({ pointer, key }) => {
+        report.warnings.push({
+          pointer,
+          message: `string "${key}" is not translated for "${locale}"`,
+        });
+      });
+    });
+}
+
+/**
+ * Reports every referenced media file that does not exist.
+ *
+ * @param {Object} config
+ * @param {{errors: Array, warnings: Array}} report
+ */
+function checkMediaFiles(config, report) {
+  collectMediaReferences(config).forEach(({ pointer, src }) => {
+    if (!fs.existsSync(path.join(SITE_ROOT, stripQuery(src)))) {
+      report.errors.push({ pointer, message: `file not found: ${src}` });
+    }
+  });
+}
+
+/**
+ * Lists the media files named by `src`, `image`, `poster`,
+ * `attractVideo` and (typewriter) `sound` fields anywhere in the
+ * configuration. Other `sound` fields are lists of entries with a `src`.
+ *
+ * @param {*} value
+ * @param {string} [pointer]
+ * @returns {Array<{pointer: string, src: string}>}
+ */
+function collectMediaReferences(value, pointer = "") {
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) =>
+      collectMediaReferences(item, `${pointer}/${index}`)
+    );
+  }
+  if (!value || typeof value !== "object") return [];
+
+  return Object.keys(value).flatMap((key) => {
+    const keyPointer = `${pointer}/${escapeJsonPointer(key)}`;
+    const field = value[key];
+    if (
+      ["src", "image", "poster", "attractVideo", "sound"].includes(key) &&
+      typeof field === "string" &&
+      field &&
+      !/^(https?:|data:|\/\/)/.test(field)
+    ) {
+      return [{ pointer: keyPointer, src: field }];
+    }
+    return collectMediaReferences(field, keyPointer);
+  });
+}
+
+/**
+ * Warns about overlays that extend past the right or bottom stage edge.
+ *
+ * @param {Object} config
+ * @param {{errors: Array, warnings: Array}} report
+ */
+function checkOverlayBoxes(config, report) {
+  forEachOverlay(config, (overlay, pointer) => {
+    [
+      ["x", "w"],
+      ["y", "h"],
+    ].forEach(([start, size]) => {
+      if (typeof overlay[start] !== "number") return;
+      if (typeof overlay[size] !== "number") return;
+      const end = overlay[start] + overlay[size];
+      if (end > 100) {
+        report.warnings.push({
+          pointer: `${pointer}/${size}`,
+          message: `${start} + ${size} is ${end}, past the stage edge (100)`,
+        });
+      }
+    });
+  });
+}
+
+/**
+ * Warns about sequential slides whose overlays wait longer (`delay`) than
+ * the base video plays, so they appear over a frozen last frame.
+ *
+ * @param {Object} config
+ * @param {{errors: Array, warnings: Array}} report
+ */
+function checkSequentialDelays(config, report) {
+  config.paths.forEach((pathDefinition, pathIndex) => {
+    (pathDefinition?.slides || []).forEach((slide, slideIndex) => {
+      if (!isSequentialSlide(slide) || slide.base?.type !== "video") return;
+
+      const videoFile = path.join(SITE_ROOT, stripQuery(slide.base.src || ""));
+      const duration = readMp4Duration(videoFile);
+      if (duration == null) return;
+
+      const videoLength = `${Math.round(duration)} ms`;
+      slide.overlays.forEach((overlay, overlayIndex) => {
+        if (typeof overlay?.delay !== "number") return;
+        if (overlay.delay <= duration) return;
+        report.warnings.push({
+          pointer: `/paths/${pathIndex}/slides/${slideIndex}/overlays/${overlayIndex}/delay`,
+          message: `${overlay.delay} ms is longer than the base video (${videoLength})`,
+        });
+      });
+    });
+  });
+}
+
+/**
+ * Warns about files under media/ that neither the content files nor the
+ * app shell (index.html and every script and stylesheet it loads) refer
+ * to.
+ *
+ * @param {string[]} contentFiles manifest and path files
+ * @param {{errors: Array, warnings: Array}} report
+ */
+function checkUnusedMedia(contentFiles, report) {
+  const referenced = new Set();
+  [...contentFiles, ...listShellFiles()]
+    .filter((file) => fs.existsSync(file))
+    .forEach((file) => {
+      const text = fs.readFileSync(file, "utf8");
+      (text.match(MEDIA_REFERENCE_PATTERN) || []).forEach((src) =>
+        referenced.add(stripQuery(src))
+      );
+    });
+
+  listFiles(path.join(SITE_ROOT, MEDIA_DIR)).forEach((file) => {
+    const src = toSitePath(file);
+    if (!referenced.has(src)) {
+      report.warnings.push({ pointer: src, message: "is not used" });
+    }
+  });
+}
+
+/**
+ * @returns {string[]} index.html and the local scripts and stylesheets it
+ *   loads, so modules added to the page are scanned without listing them
+ *   here
+ */
+function listShellFiles() {
+  const page = path.join(SITE_ROOT, SHELL_PAGE);
+  if (!fs.existsSync(page)) return [];
+  const html = fs.readFileSync(page, "utf8");
+  const assets = [...html.matchAll(SHELL_ASSET_PATTERN)]
+    .map((match) => stripQuery(match[1]))
+    // Skip the icons and other media linked from the page.
+    .filter((file) => /\.(js|css)$/.test(file))
+    .map((file) => path.join(SITE_ROOT, file));
+  return [page, ...assets];
+}
+
+/**
+ * Mirrors the app's rule for stepping through overlays one click at a time.
+ *
+ * @param {Object} slide
+ * @returns {boolean}
+ */
+function isSequentialSlide(slide) {
+  return (
+    slide?.sequential !== false &&
+    Array.isArray(slide?.overlays) &&
+    slide.overlays.length > 0 &&
+    slide.advance === "click"
+  );
+}
+
+/**
+ * Calls `callback(overlay, pointer)` for every overlay object.
+ *
+ * @param {Object} config
+ * @param {Function} callback
+ */
+function forEachOverlay(config, callback) {
+  config.paths.forEach((pathDefinition, pathIndex) => {
+    (pathDefinition?.slides || []).forEach((slide, slideIndex) => {
+      (slide?.overlays || []).forEach((overlay, overlayIndex) => {
+        if (!overlay || typeof overlay !== "object") return;
+        callback(
+          overlay,
+          `/paths/${pathIndex}/slides/${slideIndex}/overlays/${overlayIndex}`
+        );
+      });
+    });
+  });
+}
+
+/**
+ * Reads an MP4's duration from its movie header (`moov/mvhd`) without
+ * loading the whole file.
+ *
+ * @param {string} file
+ * @returns {number|null} duration in ms, or null if unreadable
+ */
+function readMp4Duration(file) {
+  let fd;
+  try {
+    fd = fs.openSync(file, "r");
+    const size = fs.fstatSync(fd).size;
+    const moov = findMp4Box(fd, 0, size, "moov");
+    const mvhd = moov && findMp4Box(fd, moov.start, moov.end, "mvhd");
+    if (!mvhd) return null;
+
+    const header = Buffer.alloc(32);
+    fs.readSync(fd, header, 0, 32, mvhd.start);
+    const version = header.readUInt8(0);
+    const timescale =
+      version === 1 ? header.readUInt32BE(20) : header.readUInt32BE(12);
+    const duration =
+      version === 1
+        ? Number(header.readBigUInt64BE(24))
+        : header.readUInt32BE(16);
+    return timescale > 0 ? (duration / timescale) * 1000 : null;
+  } catch {
+    return null;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Finds a child box by type between two file offsets.
+ *
+ * @param {number} fd
+ * @param {number} start
+ * @param {number} end
+ * @param {string} type four-character box type
+ * @returns {{start: number, end: number}|null} offsets of the box payload
+ */
+function findMp4Box(fd, start, end, type) {
+  const header = Buffer.alloc(16);
+  let offset = start;
+  while (offset + 8 <= end) {
+    fs.readSync(fd, header, 0, 16, offset);
+    let boxSize = header.readUInt32BE(0);
+    let headerSize = 8;
+    if (boxSize === 1) {
+      boxSize = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (boxSize === 0) {
+      boxSize = end - offset;
+    }
+    if (boxSize < headerSize) return null;
+
+    if (header.toString("latin1", 4, 8) === type) {
+      return { start: offset + headerSize, end: offset + boxSize };
+    }
+    offset += boxSize;
+  }
+  return null;
+}
+
+/**
+ * Lists every file below a directory (none if it is missing).
+ *
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    if (entry.name.startsWith(".")) return [];
+    const full = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(full) : [full];
+  });
+}
+
+/**
+ * Path of a file relative to the site root, with forward slashes.
+ *
+ * @param {string} file
+ * @returns {string}
+ */
+function toSitePath(file) {
+  return path.relative(SITE_ROOT, file).split(path.sep).join("/");
+}
+
+/**
+ * Drops a query string or fragment from a media path.
+ *
+ * @param {string} src
+ * @returns {string}
+ */
+function stripQuery(src) {
+  return src.replace(/[?#].*$/, "");
+}
+
+/**
+ * Prints errors then warnings, one per line, and a summary.
+ *
+ * @param {string} label
+ * @param {{errors: Array, warnings: Array}} report
+ */
+function printReport(label, report) {
+  const print = (severity, { pointer, message }) =>
+    console.log(`${severity.padEnd(7)} ${pointer}  ${message}`);
+  report.errors.forEach((problem) => print("error", problem));
+  report.warnings.forEach((problem) => print("warning", problem));
+
+  console.log(
+    `\n${label}: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`
+  );
+}
+
+process.exitCode = main(process.argv.slice(2));